@@ -26,6 +26,7 @@
  * - attr:title:prop→ <div data-bind="attr:title:user.title"></div>.
  * - class:active:isActive → toggles a class based on a boolean.
  * - tap:method     → <button data-bind="tap:logout"></button> calls scope.logout.
+ * - on:event:method → on:keydown.enter:add, on:submit.prevent:save (modifiers).
  * - view:subscope  → creates a new nested binding scope for subtree.
  * - list:items     → <ul data-bind="list:todos"><li>…</li></ul> renders array items.
  * - table:items    → <table data-bind="table:rows" data-meta="cols:name,age"></table>.
@@ -45,6 +46,8 @@
  *
  * Notes:
  * - Minimal core, no deps. Binders are tiny functions mapped from `data-bind`.
+ * - Binding values may be expressions with filters:
+ *   `show: items.length > 0 && !loading`, `text: price | currency:'EUR'`.
  * - `view:` forms a scope boundary for nested subtrees (and event resolution).
  * - Event delegation for `tap:` is installed once per bound root.
  * - Always wrap models with `px64.observable` for reactivity.
@@ -64,7 +67,14 @@
     // utils
     const isFn = v => typeof v === 'function';
     const isObj = v => v && typeof v === 'object' && !Array.isArray(v);
+    const isPlain = v => {
+        if (!isObj(v)) return false;
+        const proto = Object.getPrototypeOf(v);
+        return proto === null || Object.getPrototypeOf(proto) === null; // any realm's Object.prototype
+    };
     const toArray = v => Array.from(v);
+    const isDate = v => Object.prototype.toString.call(v) === '[object Date]';
+    const hasOwn = (o, k) => Object.prototype.hasOwnProperty.call(o, k);
     const by = (k, dir = 'asc') => {
         const mult = dir === 'desc' ? -1 : 1;
         return (a, b) => {
@@ -176,17 +186,82 @@
         elementObservers.get(element).add(cleanupFn);
     }
 
-    // One-liner reactive helper - handles path resolution, initial call, and observer setup
+    // One-liner reactive helper - handles path resolution, initial call, and observer setup.
+    // Anything other than a plain path is evaluated as an expression (`!loading`, `count > 0`).
     function reactive(el, scope, path, applyFn) {
-        applyFn(resolvePath(scope, path));
-        const keys = path.split('.');
-        const lastKey = keys.pop();
-        const parent = keys.length ? resolvePath(scope, keys.join('.')) : scope;
-        if (parent && parent.$observe) {
-            registerObserver(el, parent.$observe(lastKey, applyFn));
+        if (isPlainPath(path)) {
+            // $index, $parent.name, … inside a list row read the row context
+            const row = rowContextPath(el, path);
+            const root = row ? row.context : scope;
+            const at = row ? row.path : path;
+            applyFn(resolvePath(root, at));
+            registerObserver(el, watchPath(root, at, applyFn));
+            return;
+        }
+        const ast = compileBinding(el, path);
+        if (ast) registerObserver(el, watchExpr(scope, ast, applyFn, path.includes('$') ? rowLocals(el) : undefined));
+    }
+
+    // Parse an expression from a binding, warning (with its column in data-bind
+    // while the binding is being applied) and returning null when it's malformed
+    function compileBinding(el, src) {
+        try {
+            return compileExpr(src);
+        } catch (e) {
+            const ctx = currentBinding && currentBinding.el === el ? currentBinding : null;
+            const at = ctx ? ctx.source.indexOf(src, ctx.binding.argColumn - 1) : -1;
+            if (at >= 0) warnBinding(el, ctx.source, e.reason || e.message, at + e.column);
+            else console.warn(`px64 expression error: ${e.message} in "${src}"`, el);
+            return null;
         }
     }
 
+    // Watch a dotted path for changes. Every segment is observed, so replacing an
+    // intermediate object (`scope.$set('user', newUser)`) re-subscribes the rest
+    // of the path and reports the new leaf value. Returns an unsubscribe function.
+    function watchPath(scope, path, fn) {
+        const { root, keys } = pathRoot(scope, (path || '').split('.').filter(k => k !== ''));
+        let unsubs = [];
+        let current = resolvePath(scope, path);
+
+        const unsubscribe = () => {
+            unsubs.forEach(u => u());
+            unsubs = [];
+        };
+
+        const subscribe = () => {
+            unsubscribe();
+            let obj = root;
+            for (const key of keys) {
+                if (!obj || typeof obj !== 'object') break;
+                if (obj.$observe) unsubs.push(obj.$observe(key, changed));
+                obj = obj[key];
+            }
+        };
+
+        function changed() {
+            subscribe();
+            const value = resolvePath(scope, path);
+            const old = current;
+            current = value;
+            if (value !== old) fn(value, old);
+        }
+
+        subscribe();
+        return unsubscribe;
+    }
+
+    // Write a dotted path through `$set` on its parent (plain assignment when the
+    // parent isn't observable). The parent is resolved at call time.
+    function setPath(scope, path, value) {
+        const keys = path.split('.').filter(k => k !== '');
+        const key = keys.pop();
+        const parent = keys.length ? resolvePath(scope, keys.join('.')) : scope;
+        if (!parent || key === undefined) return;
+        if (parent.$set) parent.$set(key, value);
+        else parent[key] = value;
+    }
+
     function cleanupElement(element) {
         const observers = elementObservers.get(element);
         if (observers) {
@@ -196,9 +271,11 @@
             elementObservers.delete(element);
         }
 
-        // Cleanup child elements recursively
-        if (element.children) {
-            Array.from(element.children).forEach(child => cleanupElement(child));
+        // Cleanup child elements (and comment anchors, which carry if: watchers) recursively
+        if (element.childNodes) {
+            Array.from(element.childNodes).forEach(child => {
+                if (child.nodeType === 1 || child.nodeType === 8) cleanupElement(child);
+            });
         }
     }
 
@@ -208,7 +285,9 @@
         const observer = new MutationObserver(mutations => {
             mutations.forEach(mutation => {
                 mutation.removedNodes.forEach(node => {
-                    if (node.nodeType === Node.ELEMENT_NODE) {
+                    // nodes moved with insertBefore (keyed or recycled list rows) are still bound
+                    const bound = node.nodeType === Node.ELEMENT_NODE || node.nodeType === Node.COMMENT_NODE;
+                    if (bound && !node.isConnected) {
                         cleanupElement(node);
                     }
                 });
@@ -230,77 +309,1817 @@
     // ─────────────────────────────────────────────────────────────────────────────
     // tiny reactive core
     const OBS = Symbol('px64.observers');
+    const arrayProxies = new WeakMap(); // raw array -> observable proxy
+
+    // Deliver a property change to an observable object's observers.
+    // Iterates over copies: observers may unsubscribe/resubscribe while notified.
+    function notify(obj, prop, value, old) {
+        if (batchDepth) {
+            queueChange(obj, prop, value, old);
+            return;
+        }
+        const m = obj[OBS].get(prop);
+        if (m) Array.from(m).forEach(fn => fn(value, old));
+        const any = obj[OBS].get('*');
+        if (any) Array.from(any).forEach(fn => fn(prop, value, old));
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────────
+    // Transactions — batch(fn) / scope.$batch(fn)
+    // Notifications raised inside fn are held until it returns, then delivered once
+    // per property with the first old value and the final new value (nothing at all
+    // if the property ended where it started). Property observers subscribed to
+    // several changed keys (path watchers, computed values) run once; '*'
+    // observers still see every changed property. Array records are delivered in
+    // order. Observers flagged IMMEDIATE (computed invalidation) are not deferred.
+
+    const IMMEDIATE = Symbol('px64.immediate');
+    let batchDepth = 0;
+    const pendingProps = new Map();  // observable -> Map<prop, { value, old }>
+    const pendingArrays = new Map(); // array -> { records, before, oldLength, deliver }
+
+    function queueChange(obj, prop, value, old) {
+        if (!pendingProps.has(obj)) pendingProps.set(obj, new Map());
+        const changes = pendingProps.get(obj);
+        const first = changes.get(prop);
+        changes.set(prop, { value, old: first ? first.old : old });
+        [prop, '*'].forEach(k => {
+            const m = obj[OBS].get(k);
+            if (m) Array.from(m).forEach(fn => { if (fn[IMMEDIATE]) k === '*' ? fn(prop, value, old) : fn(value, old); });
+        });
+    }
+
+    function batch(fn) {
+        batchDepth++;
+        try {
+            return fn();
+        } finally {
+            if (--batchDepth === 0) flushBatch();
+        }
+    }
+
+    function flushBatch() {
+        while (pendingProps.size || pendingArrays.size) {
+            const arrays = Array.from(pendingArrays.values());
+            const props = Array.from(pendingProps);
+            pendingArrays.clear();
+            pendingProps.clear();
+
+            arrays.forEach(({ records, before, oldLength, deliver }) => deliver(records, before, oldLength, true));
+
+            const calls = new Map(); // observer -> last (value, old); each runs once
+            const any = [];
+            props.forEach(([obj, changes]) => changes.forEach(({ value, old }, prop) => {
+                if (value === old) return;
+                const m = obj[OBS].get(prop);
+                if (m) m.forEach(fn => { if (!fn[IMMEDIATE]) calls.set(fn, [value, old]); });
+                const star = obj[OBS].get('*');
+                if (star) star.forEach(fn => { if (!fn[IMMEDIATE]) any.push([fn, prop, value, old]); });
+            }));
+            calls.forEach((args, fn) => fn(...args));
+            any.forEach(([fn, ...args]) => fn(...args));
+        }
+        afterBatchFns.splice(0).forEach(fn => fn());
+    }
+
+    // Run fn once the outermost batch has delivered its notifications (right
+    // away when no batch is open)
+    const afterBatchFns = [];
+    function afterBatch(fn) {
+        if (batchDepth) afterBatchFns.push(fn);
+        else fn();
+    }
 
-    function observable(obj) {
+    function observable(obj, options = {}) {
+        if (options.proxy) return reactiveProxy(observable(obj));
+        if (Array.isArray(obj)) return observableArray(obj);
         if (!isObj(obj)) return obj;
         if (obj[OBS]) return obj; // idempotent
 
-        Object.defineProperty(obj, OBS, { value: new Map(), enumerable: false });
+        Object.defineProperty(obj, OBS, { value: new Map(), enumerable: false });
+
+        obj.$observe = function (prop, fn) {
+            const key = prop || '*';
+            if (!obj[OBS].has(key)) obj[OBS].set(key, new Set());
+            obj[OBS].get(key).add(fn);
+            return () => obj[OBS].get(key).delete(fn);
+        };
+
+        // $batch(() => { ... }) — one notification pass for many $set calls
+        obj.$batch = function (fn) {
+            return batch(() => fn(obj));
+        };
+
+        // $watch('address.city', fn) — survives replacement of intermediate objects
+        obj.$watch = function (path, fn) {
+            return watchPath(obj, path, fn);
+        };
+
+        obj.$set = function (prop, value) {
+            const old = obj[prop];
+            // assigned arrays and plain objects are stored wrapped so nested
+            // changes keep notifying (and deep paths keep resolving)
+            if (Array.isArray(value) || isPlain(value)) value = observable(value);
+            if (old === value) return;
+            obj[prop] = value;
+            notify(obj, prop, value, old);
+        };
+
+        // $computed('total', s => s.price * s.qty) — derived, cached, bindable.
+        // Reads made through the getter's argument (or `this`) are recorded as
+        // dependencies; the cached value is invalidated when any of them changes.
+        // Returns a dispose function that stops tracking.
+        obj.$computed = function (name, getter) {
+            let value;
+            let dirty = true;
+            let unsubs = [];
+            const stop = () => { unsubs.forEach(u => u()); unsubs = []; };
+            const hasObservers = () => [name, '*'].some(k => obj[OBS].has(k) && obj[OBS].get(k).size > 0);
+            const evaluate = () => {
+                stop();
+                const { result, deps } = collectDeps(view => getter.call(view, view), obj);
+                unsubs = deps.map(([target, key]) => target.$observe(key, invalidate));
+                value = result;
+                dirty = false;
+                return value;
+            };
+            // recompute eagerly only when someone is listening; otherwise on next read.
+            // Runs immediately inside batches so reads there never see a stale value;
+            // the resulting notification is batched like any other.
+            const invalidate = () => {
+                dirty = true;
+                if (!hasObservers()) return;
+                const old = value;
+                evaluate();
+                if (value !== old) notify(obj, name, value, old);
+            };
+            invalidate[IMMEDIATE] = true;
+            const previous = obj[name];
+            Object.defineProperty(obj, name, {
+                enumerable: true,
+                configurable: true,
+                get: () => dirty ? evaluate() : value,
+                set: () => console.warn(`px64: computed property "${name}" is read-only`)
+            });
+            evaluate();
+            // bindings made before the computed was defined pick it up now
+            if (value !== previous) notify(obj, name, value, previous);
+            return stop;
+        };
+
+        // wrap nested objects and arrays
+        Object.keys(obj).forEach(k => {
+            const v = obj[k];
+            if ((isObj(v) || Array.isArray(v)) && !v[OBS]) obj[k] = observable(v);
+        });
+
+        return obj;
+    }
+
+    // Observable arrays — a Proxy so index writes and `length` changes are seen
+    // as well as the mutator methods. Observers registered with
+    // `$observe('*', fn)` receive one change record per structural change:
+    //   { type: 'insert',  index, items }
+    //   { type: 'remove',  index, items }
+    //   { type: 'replace', index, value, old }
+    //   { type: 'move',    index: 0, order }  // order[i] = previous index of item now at i
+    // `$observe('length', fn)` and `$observe('<index>', fn)` get (value, old) like objects.
+    const isIndex = k => typeof k === 'string' && /^(0|[1-9]\d*)$/.test(k);
+
+    function observableArray(arr) {
+        if (arrayProxies.has(arr)) return arrayProxies.get(arr);
+        if (arr[OBS]) return arr; // already the proxy
+
+        const target = arr;
+        Object.defineProperty(target, OBS, { value: new Map(), enumerable: false });
+        for (let i = 0; i < target.length; i++) target[i] = observable(target[i]);
+
+        let proxy;
+        const hasIndexObservers = () => {
+            for (const k of target[OBS].keys()) if (isIndex(k)) return true;
+            return false;
+        };
+
+        // notify index/length observers whose value differs from the snapshot
+        const notifyKeys = (before, oldLength) => {
+            target[OBS].forEach((set, k) => {
+                if (!isIndex(k) || !before) return;
+                const v = target[k];
+                const o = before[k];
+                if (v !== o) Array.from(set).forEach(fn => fn(v, o));
+            });
+            if (oldLength !== target.length) {
+                const m = target[OBS].get('length');
+                if (m) Array.from(m).forEach(fn => fn(target.length, oldLength));
+            }
+        };
+
+        const deliver = (records, before, oldLength, batched) => {
+            const any = target[OBS].get('*');
+            if (any) records.forEach(r => Array.from(any).forEach(fn => { if (!(batched && fn[IMMEDIATE])) fn(r, proxy); }));
+            notifyKeys(before, oldLength);
+        };
+
+        // inside a batch keep the first snapshot and collect records in order
+        const emit = (records, before, oldLength) => {
+            if (!batchDepth) return deliver(records, before, oldLength);
+            const any = target[OBS].get('*');
+            if (any) Array.from(any).forEach(fn => { if (fn[IMMEDIATE]) records.forEach(r => fn(r, proxy)); });
+            const queued = pendingArrays.get(target);
+            if (queued) queued.records.push(...records);
+            else pendingArrays.set(target, { records: records.slice(), before, oldLength, deliver });
+        };
+
+        // run a native mutation, then describe it as change records
+        const mutate = (describe) => {
+            const before = hasIndexObservers() ? target.slice() : null;
+            const oldLength = target.length;
+            const { result, records } = describe();
+            const changed = records.filter(Boolean);
+            if (changed.length || oldLength !== target.length) emit(changed, before, oldLength);
+            return result;
+        };
+
+        const wrapAll = items => items.map(observable);
+
+        const splice = (start, deleteCount, items) => mutate(() => {
+            const len = target.length;
+            let s = Number(start) || 0;
+            s = s < 0 ? Math.max(len + s, 0) : Math.min(s, len);
+            const dc = deleteCount === undefined ? len - s : Math.min(Math.max(Number(deleteCount) || 0, 0), len - s);
+            const removed = Array.prototype.splice.apply(target, [s, dc].concat(items));
+            return {
+                result: removed,
+                records: [
+                    removed.length && { type: 'remove', index: s, items: removed.slice() },
+                    items.length && { type: 'insert', index: s, items: items.slice() }
+                ]
+            };
+        });
+
+        // sort/reverse: report the permutation as a single move record
+        const reorder = (fn) => mutate(() => {
+            const before = target.slice();
+            fn();
+            const slots = new Map();
+            before.forEach((v, i) => {
+                if (!slots.has(v)) slots.set(v, []);
+                slots.get(v).push(i);
+            });
+            const order = target.map(v => slots.get(v).shift());
+            const moved = order.some((from, to) => from !== to);
+            return { result: proxy, records: [moved && { type: 'move', index: 0, order }] };
+        });
+
+        // fill/copyWithin: report every slot that changed as a replace
+        const overwrite = (fn) => mutate(() => {
+            const before = target.slice();
+            fn();
+            const records = target.map((v, i) => v !== before[i] && { type: 'replace', index: i, value: v, old: before[i] });
+            return { result: proxy, records };
+        });
+
+        const methods = {
+            push: (...items) => { splice(target.length, 0, wrapAll(items)); return target.length; },
+            pop: () => splice(target.length - 1, 1, [])[0],
+            shift: () => splice(0, 1, [])[0],
+            unshift: (...items) => { splice(0, 0, wrapAll(items)); return target.length; },
+            splice(start, ...rest) {
+                const deleteCount = rest.length ? (rest[0] === undefined ? 0 : rest[0]) : undefined;
+                return splice(start, deleteCount, wrapAll(rest.slice(1)));
+            },
+            sort: (cmp) => reorder(() => Array.prototype.sort.call(target, cmp)),
+            reverse: () => reorder(() => Array.prototype.reverse.call(target)),
+            fill: (...args) => overwrite(() => Array.prototype.fill.apply(target, [observable(args[0])].concat(args.slice(1)))),
+            copyWithin: (...args) => overwrite(() => Array.prototype.copyWithin.apply(target, args))
+        };
+
+        Object.defineProperty(target, '$observe', {
+            enumerable: false,
+            value(prop, fn) {
+                const key = prop === undefined || prop === null || prop === '' ? '*' : String(prop);
+                if (!target[OBS].has(key)) target[OBS].set(key, new Set());
+                target[OBS].get(key).add(fn);
+                return () => target[OBS].get(key).delete(fn);
+            }
+        });
+
+        Object.defineProperty(target, '$batch', {
+            enumerable: false,
+            value(fn) { return batch(() => fn(proxy)); }
+        });
+
+        Object.defineProperty(target, '$watch', {
+            enumerable: false,
+            value(path, fn) { return watchPath(proxy, path, fn); }
+        });
+
+        Object.defineProperty(target, '$set', {
+            enumerable: false,
+            value(prop, value) { proxy[prop] = value; }
+        });
+
+        proxy = new Proxy(target, {
+            get(t, k, receiver) {
+                if (tracking && typeof k === 'string') track(proxy, '*');
+                if (typeof k === 'string' && Object.prototype.hasOwnProperty.call(methods, k)) return methods[k];
+                return Reflect.get(t, k, receiver);
+            },
+            set(t, k, value) {
+                if (k === 'length') {
+                    const len = t.length;
+                    const next = Number(value);
+                    if (next === len) return true;
+                    if (next < len) {
+                        splice(next, len - next, []);
+                    } else {
+                        mutate(() => {
+                            t.length = next;
+                            return { records: [{ type: 'insert', index: len, items: new Array(next - len) }] };
+                        });
+                    }
+                    return true;
+                }
+                if (!isIndex(k)) {
+                    t[k] = value;
+                    return true;
+                }
+                const i = Number(k);
+                const v = observable(value);
+                if (i >= t.length) {
+                    const len = t.length;
+                    mutate(() => {
+                        t[i] = v;
+                        return { records: [{ type: 'insert', index: len, items: t.slice(len) }] };
+                    });
+                } else if (t[i] !== v) {
+                    mutate(() => {
+                        const old = t[i];
+                        t[i] = v;
+                        return { records: [{ type: 'replace', index: i, value: v, old }] };
+                    });
+                }
+                return true;
+            },
+            deleteProperty(t, k) {
+                if (isIndex(k) && Number(k) < t.length && t[k] !== undefined) {
+                    mutate(() => {
+                        const old = t[k];
+                        delete t[k];
+                        return { records: [{ type: 'replace', index: Number(k), value: undefined, old }] };
+                    });
+                    return true;
+                }
+                return Reflect.deleteProperty(t, k);
+            }
+        });
+
+        arrayProxies.set(target, proxy);
+        return proxy;
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────────
+    // Proxy mode — observable(obj, { proxy: true }) / bind(root, scope, { proxy: true })
+    // Plain assignment and `delete` notify exactly like `$set`. Nested objects and
+    // arrays read through the proxy come back proxied too, so `scope.user.name = 'x'`
+    // and `scope.todos[0].done = true` are reactive. `$observe`, `$set` and the OBS
+    // symbol pass straight through to the wrapped observable.
+
+    const proxies = new WeakMap();  // observable -> proxy
+    const proxyTargets = new WeakMap(); // proxy -> observable
+
+    const rawOf = v => (v && typeof v === 'object' && proxyTargets.get(v)) || v;
+
+    const objectTraps = {
+        get(t, k) {
+            if (tracking && typeof k === 'string' && k[0] !== '$') track(t, k);
+            return reactiveProxy(Reflect.get(t, k));
+        },
+        set(t, k, v) {
+            const desc = Object.getOwnPropertyDescriptor(t, k);
+            if (typeof k !== 'string' || k[0] === '$' || (desc && desc.set)) return Reflect.set(t, k, v);
+            t.$set(k, rawOf(v));
+            return true;
+        },
+        deleteProperty(t, k) {
+            if (typeof k !== 'string' || k[0] === '$' || !Object.prototype.hasOwnProperty.call(t, k)) {
+                return Reflect.deleteProperty(t, k);
+            }
+            const old = t[k];
+            delete t[k];
+            notify(t, k, undefined, old);
+            return true;
+        }
+    };
+
+    // observable arrays already notify on index writes; this layer only hands
+    // out proxied elements and unwraps proxies on the way in
+    const arrayTraps = {
+        get(t, k) {
+            return reactiveProxy(Reflect.get(t, k));
+        },
+        set(t, k, v) {
+            return Reflect.set(t, k, rawOf(v));
+        }
+    };
+
+    function reactiveProxy(target) {
+        if (!target || typeof target !== 'object' || !target[OBS]) return target;
+        if (proxyTargets.has(target)) return target; // already a proxy
+        if (!proxies.has(target)) {
+            const proxy = new Proxy(target, Array.isArray(target) ? arrayTraps : objectTraps);
+            proxies.set(target, proxy);
+            proxyTargets.set(proxy, target);
+        }
+        return proxies.get(target);
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────────
+    // Dependency tracking for computed values
+
+    let tracking = null; // Map<observable, Set<key>> while a getter runs
+
+    function track(target, key) {
+        if (!tracking.has(target)) tracking.set(target, new Set());
+        tracking.get(target).add(key);
+    }
+
+    // Run fn(view) where `view` is a read-recording Proxy over `root`; nested
+    // objects and arrays read through it are wrapped too. Returns the result and
+    // the [observable, key] pairs that were read.
+    function collectDeps(fn, root) {
+        const views = new WeakMap();
+        const viewOf = (target) => {
+            if (!target || typeof target !== 'object' || !target.$observe) return target;
+            if (!views.has(target)) {
+                views.set(target, new Proxy(target, {
+                    get(t, k) {
+                        const v = Reflect.get(t, k);
+                        if (typeof k === 'string' && k[0] !== '$') track(t, Array.isArray(t) ? '*' : k);
+                        return viewOf(v);
+                    }
+                }));
+            }
+            return views.get(target);
+        };
+
+        const outer = tracking;
+        tracking = new Map();
+        try {
+            const result = fn(viewOf(root));
+            const deps = [];
+            tracking.forEach((keys, target) => keys.forEach(k => deps.push([target, k])));
+            return { result, deps };
+        } finally {
+            tracking = outer;
+        }
+    }
+
+    // Simple list wrapper with paging/sorting and change events
+    function listState(items = []) {
+        const state = observable({
+            items: items.slice(),
+            page: 1,
+            pageSize: 20,
+            sortKey: null,
+            sortDir: 'asc',
+            total: items.length,
+            loading: false
+        });
+
+        state.setItems = (arr) => {
+            state.$set('items', arr.slice());
+            state.$set('total', arr.length);
+        };
+
+        // keep `total` in step with in-place mutations (push/splice/…) of items
+        let unwatchItems = null;
+        const watchItems = () => {
+            if (unwatchItems) unwatchItems();
+            const arr = state.items;
+            unwatchItems = arr && arr.$observe
+                ? arr.$observe('length', len => state.$set('total', len))
+                : null;
+        };
+        watchItems();
+        state.$observe('items', watchItems);
+
+        state.sorted = () => {
+            const { items, sortKey, sortDir } = state;
+            if (!sortKey) return items;
+            return items.slice().sort(by(sortKey, sortDir));
+        };
+
+        state.paged = () => {
+            const { page, pageSize } = state;
+            const src = state.sorted();
+            const start = (page - 1) * pageSize;
+            return src.slice(start, start + pageSize);
+        };
+
+        state.nextPage = () => state.$set('page', Math.min(Math.ceil(state.total / state.pageSize), state.page + 1));
+        state.prevPage = () => state.$set('page', Math.max(1, state.page - 1));
+        state.sortBy = (k, dir) => { state.$set('sortKey', k); if (dir) state.$set('sortDir', dir); };
+
+        return state;
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────────
+    // Deep observation (history, persistence, sync)
+
+    // Objects flagged TRANSIENT (e.g. a history controller stored on the scope) are
+    // skipped by observeDeep, so they are never recorded, persisted or synced.
+    const TRANSIENT = Symbol('px64.transient');
+
+    // Getter properties ($computed) are derived from other state, so they're
+    // never recorded, replayed, serialized or synced themselves
+    function isAccessor(obj, key) {
+        const desc = Object.getOwnPropertyDescriptor(obj, key);
+        return !!(desc && desc.get);
+    }
+
+    // Observe every change below `root`. fn receives one change per `$set` on any
+    // nested observable — { path, target, prop, value, old } — and one per array
+    // record — { path, target, record }. Subtrees are re-subscribed as they are
+    // replaced or moved. Returns an unsubscribe function.
+    function observeDeep(root, fn) {
+        const watchNode = (node, path, ancestors) => {
+            if (!node || typeof node !== 'object' || !node.$observe || node[TRANSIENT]) return null;
+            if (ancestors.includes(node)) return null; // cycle
+            const lineage = ancestors.concat([node]);
+            const children = new Map();
+
+            const watchChild = (key) => {
+                if (children.has(key)) children.get(key)();
+                children.delete(key);
+                const stop = watchNode(node[key], path.concat(key), lineage);
+                if (stop) children.set(key, stop);
+            };
+            const watchChildren = () => {
+                children.forEach(stop => stop());
+                children.clear();
+                Object.keys(node).forEach(k => { if (k[0] !== '$' && !isAccessor(node, k)) watchChild(k); });
+            };
+
+            const unsubscribe = Array.isArray(node)
+                ? node.$observe('*', (record) => {
+                    watchChildren(); // indices shift on every structural change
+                    fn({ path, target: node, record });
+                })
+                : node.$observe('*', (prop, value, old) => {
+                    if (isAccessor(node, prop)) return;
+                    watchChild(prop);
+                    if ((value && value[TRANSIENT]) || (old && old[TRANSIENT])) return;
+                    fn({ path: path.concat(prop), target: node, prop, value, old });
+                });
+
+            watchChildren();
+            return () => {
+                unsubscribe();
+                children.forEach(stop => stop());
+                children.clear();
+            };
+        };
+        return watchNode(root, [], []) || (() => { });
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────────
+    // Undo/redo history
+
+    // Apply a recorded change forwards (redo) or backwards (undo)
+    function replayChange(change, forward) {
+        const { target, record } = change;
+        if (!record) {
+            target.$set(change.prop, forward ? change.value : change.old);
+            return;
+        }
+        switch (record.type) {
+            case 'insert':
+                if (forward) target.splice(record.index, 0, ...record.items);
+                else target.splice(record.index, record.items.length);
+                break;
+            case 'remove':
+                if (forward) target.splice(record.index, record.items.length);
+                else target.splice(record.index, 0, ...record.items);
+                break;
+            case 'replace':
+                target[record.index] = forward ? record.value : record.old;
+                break;
+            case 'move': {
+                const current = target.slice();
+                const next = new Array(current.length);
+                record.order.forEach((from, to) => {
+                    if (forward) next[to] = current[from];
+                    else next[from] = current[to];
+                });
+                target.splice(0, next.length, ...next);
+                break;
+            }
+        }
+    }
+
+    // history(scope, { limit }) — records every change below `scope`. Changes made
+    // in the same tick form one undo step; transaction(fn) groups explicitly.
+    // `canUndo`/`canRedo` are observable, so `enable:history.canUndo` just works.
+    function history(scope, options = {}) {
+        const limit = options.limit || 100;
+        const undoStack = [];
+        const redoStack = [];
+        let pending = [];
+        let grouping = 0;
+        let replaying = false;
+        let scheduled = false;
+
+        const h = observable({ canUndo: false, canRedo: false });
+        Object.defineProperty(h, TRANSIENT, { value: true });
+
+        const update = () => {
+            h.$set('canUndo', undoStack.length > 0);
+            h.$set('canRedo', redoStack.length > 0);
+        };
+
+        const commit = () => {
+            if (!pending.length) return;
+            undoStack.push(pending);
+            if (undoStack.length > limit) undoStack.shift();
+            redoStack.length = 0;
+            pending = [];
+            update();
+        };
+
+        const stop = observeDeep(scope, (change) => {
+            if (replaying) return;
+            pending.push(change);
+            if (grouping || scheduled) return;
+            scheduled = true;
+            Promise.resolve().then(() => {
+                scheduled = false;
+                if (!grouping) commit();
+            });
+        });
+
+        const replay = (from, to, forward) => {
+            commit();
+            const step = from.pop();
+            if (!step) return false;
+            replaying = true;
+            try {
+                batch(() => (forward ? step : step.slice().reverse()).forEach(c => replayChange(c, forward)));
+            } finally {
+                // inside an outer px64.batch the changes are delivered later
+                afterBatch(() => { replaying = false; });
+            }
+            to.push(step);
+            update();
+            return true;
+        };
+
+        h.undo = () => replay(undoStack, redoStack, false);
+        h.redo = () => replay(redoStack, undoStack, true);
+
+        h.transaction = (fn) => {
+            commit();
+            grouping++;
+            try {
+                return batch(() => fn(scope));
+            } finally {
+                if (--grouping === 0) commit();
+            }
+        };
+
+        h.clear = () => {
+            pending = [];
+            undoStack.length = 0;
+            redoStack.length = 0;
+            update();
+        };
+
+        h.dispose = () => {
+            stop();
+            h.clear();
+        };
+
+        return h;
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────────
+    // Snapshots & JSON Patch (RFC 6902)
+
+    // Plain data copy of an observable tree: `$`-prefixed keys, functions, computed
+    // getters and TRANSIENT objects are left out; proxies and wrappers are unwrapped.
+    function toJSON(value, seen = []) {
+        if (Array.isArray(value)) {
+            if (seen.includes(value)) return undefined;
+            return value.map(v => {
+                const out = toJSON(v, seen.concat([value]));
+                return out === undefined ? null : out;
+            });
+        }
+        if (isDate(value)) return new Date(value.getTime());
+        if (!isObj(value)) return value;
+        if (value[TRANSIENT] || seen.includes(value)) return undefined;
+        const out = {};
+        Object.keys(value).forEach(k => {
+            if (k[0] === '$') return;
+            if (isAccessor(value, k)) return; // computed
+            const v = value[k];
+            if (isFn(v)) return;
+            const data = toJSON(v, seen.concat([value]));
+            if (data !== undefined) out[k] = data;
+        });
+        return out;
+    }
+
+    function deepEqual(a, b) {
+        if (a === b) return true;
+        if (isDate(a) && isDate(b)) return a.getTime() === b.getTime();
+        const isContainer = v => Array.isArray(v) || isObj(v);
+        if (!isContainer(a) || !isContainer(b) || Array.isArray(a) !== Array.isArray(b)) return false;
+        const ka = Object.keys(a);
+        const kb = Object.keys(b);
+        return ka.length === kb.length && ka.every(k => Object.prototype.hasOwnProperty.call(b, k) && deepEqual(a[k], b[k]));
+    }
+
+    // Apply a snapshot through `$set` so bindings update. Nested observables are
+    // updated in place (keeping their identity); arrays are replaced. Keys the
+    // snapshot doesn't mention are left alone, so partial snapshots are fine.
+    function restore(scope, snapshot) {
+        const target = rawOf(scope);
+        if (!isObj(target) || !isObj(snapshot)) return scope;
+        batch(() => Object.keys(snapshot).forEach(k => {
+            const current = target[k];
+            const next = snapshot[k];
+            if (isPlain(next) && isObj(current) && current.$set && !current[TRANSIENT]) {
+                restore(current, next);
+            } else if (!deepEqual(toJSON(current), next)) {
+                setKey(target, k, toJSON(next));
+            }
+        }));
+        return scope;
+    }
+
+    function setKey(parent, key, value) {
+        parent = rawOf(parent);
+        if (Array.isArray(parent)) {
+            if (key === '-' || Number(key) === parent.length) parent.push(value);
+            else parent[key] = value;
+        } else if (parent.$set) {
+            parent.$set(key, value);
+        } else {
+            parent[key] = value;
+        }
+    }
+
+    function removeKey(parent, key) {
+        parent = rawOf(parent);
+        if (Array.isArray(parent)) {
+            parent.splice(Number(key), 1);
+            return;
+        }
+        const old = parent[key];
+        delete parent[key];
+        if (parent[OBS]) notify(parent, key, undefined, old);
+    }
+
+    const escapePointer = k => String(k).replace(/~/g, '~0').replace(/\//g, '~1');
+
+    function parsePointer(pointer) {
+        if (pointer === '') return [];
+        if (typeof pointer !== 'string' || pointer[0] !== '/') {
+            throw new Error(`px64.applyPatch: invalid JSON pointer "${pointer}"`);
+        }
+        return pointer.slice(1).split('/').map(s => s.replace(/~1/g, '/').replace(/~0/g, '~'));
+    }
+
+    // diff(a, b) — JSON Patch operations that turn a's data into b's data
+    function diff(a, b) {
+        const ops = [];
+        const walk = (x, y, path) => {
+            if (deepEqual(x, y)) return;
+            if (Array.isArray(x) && Array.isArray(y)) {
+                const common = Math.min(x.length, y.length);
+                for (let i = 0; i < common; i++) walk(x[i], y[i], `${path}/${i}`);
+                for (let i = x.length - 1; i >= y.length; i--) ops.push({ op: 'remove', path: `${path}/${i}` });
+                for (let i = x.length; i < y.length; i++) ops.push({ op: 'add', path: `${path}/${i}`, value: y[i] });
+                return;
+            }
+            if (isPlain(x) && isPlain(y)) {
+                Object.keys(x).forEach(k => {
+                    if (!Object.prototype.hasOwnProperty.call(y, k)) ops.push({ op: 'remove', path: `${path}/${escapePointer(k)}` });
+                });
+                Object.keys(y).forEach(k => {
+                    const p = `${path}/${escapePointer(k)}`;
+                    if (Object.prototype.hasOwnProperty.call(x, k)) walk(x[k], y[k], p);
+                    else ops.push({ op: 'add', path: p, value: y[k] });
+                });
+                return;
+            }
+            ops.push({ op: 'replace', path, value: y });
+        };
+        walk(toJSON(a), toJSON(b), '');
+        return ops;
+    }
+
+    // applyPatch(scope, ops) — apply JSON Patch operations through `$set` and the
+    // array mutators, in one batch. Ops run in order; an invalid op or a failed
+    // `test` throws, leaving earlier ops applied.
+    function applyPatch(scope, ops) {
+        const locate = (pointer) => {
+            const keys = parsePointer(pointer);
+            const key = keys.pop();
+            const parent = keys.reduce((acc, k) => {
+                if (acc === null || acc === undefined || typeof acc !== 'object') {
+                    throw new Error(`px64.applyPatch: path not found "${pointer}"`);
+                }
+                return acc[k];
+            }, scope);
+            if (key !== undefined && (parent === null || typeof parent !== 'object')) {
+                throw new Error(`px64.applyPatch: path not found "${pointer}"`);
+            }
+            return { parent, key };
+        };
+        // everything but `add` needs the target location to exist (RFC 6902 §4)
+        const locateExisting = (pointer) => {
+            const { parent, key } = locate(pointer);
+            const exists = key === undefined || (Array.isArray(parent)
+                ? /^\d+$/.test(key) && Number(key) < parent.length
+                : Object.prototype.hasOwnProperty.call(parent, key));
+            if (!exists) throw new Error(`px64.applyPatch: path not found "${pointer}"`);
+            return { parent, key };
+        };
+        const read = (pointer) => {
+            const { parent, key } = locateExisting(pointer);
+            return key === undefined ? parent : parent[key];
+        };
+        const write = (pointer, value, insert) => {
+            const { parent, key } = insert ? locate(pointer) : locateExisting(pointer);
+            if (key === undefined) return restore(scope, value);
+            if (Array.isArray(parent) && insert && key !== '-') {
+                rawOf(parent).splice(Number(key), 0, toJSON(value));
+            } else {
+                setKey(parent, key, toJSON(value));
+            }
+        };
+        const remove = (pointer) => {
+            const { parent, key } = locateExisting(pointer);
+            if (key === undefined) throw new Error('px64.applyPatch: cannot remove the root');
+            removeKey(parent, key);
+        };
+
+        batch(() => ops.forEach(op => {
+            switch (op.op) {
+                case 'add': write(op.path, op.value, true); break;
+                case 'replace': write(op.path, op.value, false); break;
+                case 'remove': remove(op.path); break;
+                case 'move': {
+                    const value = toJSON(read(op.from));
+                    remove(op.from);
+                    write(op.path, value, true);
+                    break;
+                }
+                case 'copy': write(op.path, toJSON(read(op.from)), true); break;
+                case 'test':
+                    if (!deepEqual(toJSON(read(op.path)), op.value)) {
+                        throw new Error(`px64.applyPatch: test failed at "${op.path}"`);
+                    }
+                    break;
+                default:
+                    throw new Error(`px64.applyPatch: unknown op "${op.op}"`);
+            }
+        }));
+        return scope;
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────────
+    // Persistence — localStorage / sessionStorage
+
+    const pathsOverlap = (a, b) => {
+        const n = Math.min(a.length, b.length);
+        for (let i = 0; i < n; i++) if (String(a[i]) !== String(b[i])) return false;
+        return true;
+    };
+
+    // Plain data for just the whitelisted dotted paths (all data when none given)
+    function pickPaths(scope, include) {
+        const data = toJSON(scope);
+        if (!include) return data;
+        const out = {};
+        include.forEach(path => {
+            const keys = path.split('.');
+            const value = resolvePath(data, path);
+            if (value === undefined) return;
+            const last = keys.pop();
+            const parent = keys.reduce((acc, k) => (acc[k] = isObj(acc[k]) ? acc[k] : {}), out);
+            parent[last] = value;
+        });
+        return out;
+    }
+
+    // Bring stored data up to `version`. `migrate` is either a function
+    // (data, fromVersion) => data, or a map of { [toVersion]: data => data } steps.
+    function migrateData(data, from, version, migrate) {
+        if (isFn(migrate)) return migrate(data, from);
+        for (let v = from + 1; v <= version; v++) {
+            if (migrate && isFn(migrate[v])) data = migrate[v](data);
+        }
+        return data;
+    }
+
+    // persist(scope, { key, storage, include, version, migrate, debounce })
+    // Hydrates `scope` from storage now, then writes (debounced) on every change.
+    function persist(scope, options = {}) {
+        const { key, include, migrate, version = 1, debounce = 200 } = options;
+        if (!key) throw new Error('px64.persist: key is required');
+        const paths = include ? include.map(p => p.split('.')) : null;
+        let timer = null;
+
+        // hydrate. Reading global.localStorage itself throws (SecurityError) in
+        // sandboxed iframes and some privacy modes; the scope then just isn't persisted.
+        let storage = null;
+        try {
+            storage = options.storage === 'session' ? global.sessionStorage
+                : (options.storage && options.storage !== 'local' ? options.storage : global.localStorage);
+            const raw = storage && storage.getItem(key);
+            if (raw) {
+                const stored = JSON.parse(raw);
+                const from = Number(stored.version) || 0;
+                if (from <= version) {
+                    const data = from < version ? migrateData(stored.data, from, version, migrate) : stored.data;
+                    if (isObj(data)) restore(scope, include ? pickPaths(data, include) : data);
+                }
+            }
+        } catch (e) {
+            console.warn('px64 persist error:', e);
+        }
+
+        const save = () => {
+            clearTimeout(timer);
+            timer = null;
+            if (!storage) return;
+            try {
+                storage.setItem(key, JSON.stringify({ version, data: pickPaths(scope, include) }));
+            } catch (e) {
+                console.warn('px64 persist error:', e);
+            }
+        };
+
+        const stop = observeDeep(scope, (change) => {
+            if (paths && !paths.some(p => pathsOverlap(p, change.path))) return;
+            clearTimeout(timer);
+            timer = setTimeout(save, debounce);
+        });
+
+        // don't lose a pending write when the page goes away
+        const flush = () => { if (timer) save(); };
+        if (global.addEventListener) global.addEventListener('pagehide', flush);
+
+        return {
+            save,
+            clear() {
+                clearTimeout(timer);
+                timer = null;
+                if (!storage) return;
+                try { storage.removeItem(key); } catch (e) { console.warn('px64 persist error:', e); }
+            },
+            dispose() {
+                flush();
+                stop();
+                if (global.removeEventListener) global.removeEventListener('pagehide', flush);
+            }
+        };
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────────
+    // Cross-tab sync — BroadcastChannel, with a storage-event fallback
+
+    function syncTransport(name, onMessage) {
+        if (typeof BroadcastChannel !== 'undefined') {
+            const channel = new BroadcastChannel(name);
+            channel.onmessage = e => onMessage(e.data);
+            return { post: msg => channel.postMessage(msg), close: () => channel.close() };
+        }
+        const storageKey = `px64.sync:${name}`;
+        const onStorage = (e) => {
+            if (e.key !== storageKey || !e.newValue) return;
+            try { onMessage(JSON.parse(e.newValue)); } catch (err) { console.warn('px64 sync error:', err); }
+        };
+        global.addEventListener('storage', onStorage);
+        return {
+            post(msg) {
+                try {
+                    global.localStorage.setItem(storageKey, JSON.stringify(msg));
+                    global.localStorage.removeItem(storageKey);
+                } catch (e) {
+                    console.warn('px64 sync error:', e);
+                }
+            },
+            close: () => global.removeEventListener('storage', onStorage)
+        };
+    }
+
+    // sync(scope, channelName) — broadcast every change below `scope` to other tabs
+    // and apply theirs. Each changed path carries a timestamp; a remote change is
+    // applied only if it is newer than the last local/remote write to that path
+    // and to every path above it (last writer wins, ties broken by tab id).
+    // Writing a path replaces everything below it, except newer writes further
+    // down, which are kept on top — so every tab settles on the same value.
+    // Remote changes are applied without being re-broadcast.
+    function sync(scope, channelName) {
+        const tabId = Math.random().toString(36).slice(2);
+        const stamps = new Map(); // path -> { ts, from }
+        let clock = 0;
+        let applying = false;
+
+        const newer = (a, b) => !b || a.ts > b.ts || (a.ts === b.ts && a.from > b.from);
+        const isBelow = (id, base) => base === '' ? id !== '' : id.startsWith(`${base}.`);
+
+        const write = (path, value, deleted) => {
+            const keys = path.slice();
+            const key = keys.pop();
+            const parent = keys.length ? resolvePath(scope, keys.join('.')) : scope;
+            if (!parent || typeof parent !== 'object') return;
+            if (key === undefined) {
+                if (Array.isArray(parent) && Array.isArray(value)) parent.splice(0, parent.length, ...value);
+                else restore(parent, value);
+            } else if (deleted) {
+                removeKey(parent, key);
+            } else {
+                setKey(parent, key, value);
+            }
+        };
+
+        const apply = (msg) => {
+            if (!msg || msg.from === tabId || !Array.isArray(msg.path)) return;
+            clock = Math.max(clock, msg.ts);
+            const id = msg.path.join('.');
+            // a later write to this path or one above it already replaced this value
+            for (let i = 0; i <= msg.path.length; i++) {
+                if (!newer(msg, stamps.get(msg.path.slice(0, i).join('.')))) return;
+            }
+
+            // later writes below this path survive it; older ones are superseded
+            const kept = [];
+            stamps.forEach((stamp, other) => {
+                if (!isBelow(other, id)) return;
+                if (newer(msg, stamp)) stamps.delete(other);
+                else kept.push(other);
+            });
+            const keptValues = kept.map(other => toJSON(resolvePath(scope, other)));
+            stamps.set(id, { ts: msg.ts, from: msg.from });
+
+            applying = true;
+            try {
+                batch(() => {
+                    write(msg.path, msg.value, msg.deleted);
+                    kept.forEach((other, i) => write(other.split('.'), keptValues[i], keptValues[i] === undefined));
+                });
+            } finally {
+                applying = false;
+            }
+        };
+
+        const transport = syncTransport(`px64:${channelName}`, apply);
+
+        const stop = observeDeep(scope, (change) => {
+            if (applying) return;
+            const ts = clock = Math.max(Date.now(), clock + 1);
+            const msg = { from: tabId, ts, path: change.path };
+            if (change.record) msg.value = toJSON(change.target);
+            else if (change.value === undefined) msg.deleted = true;
+            else msg.value = toJSON(change.value);
+            const id = change.path.join('.');
+            stamps.forEach((stamp, other) => { if (isBelow(other, id)) stamps.delete(other); });
+            stamps.set(id, { ts, from: tabId });
+            transport.post(msg);
+        });
+
+        return {
+            close() {
+                stop();
+                transport.close();
+            }
+        };
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────────
+    // Named stores — shared state reachable from any bind root as `$store.<name>`
+
+    const stores = observable({});
+    Object.defineProperty(stores, TRANSIENT, { value: true });
+
+    // Paths starting with `$store` resolve from the store registry instead of the scope
+    function pathRoot(scope, keys) {
+        return keys[0] === '$store' ? { root: stores, keys: keys.slice(1) } : { root: scope, keys };
+    }
+
+    // store(name, initialState) registers (first registration wins) and returns the
+    // store; store(name) looks one up.
+    function store(name, initialState) {
+        if (stores[name] === undefined && initialState !== undefined) {
+            stores.$set(name, observable(initialState));
+        }
+        return stores[name];
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────────
+    // Form validation
+
+    // Validators: (value, arg, { scope, path }) => true | false | 'message' | Promise of those
+    const isEmptyValue = v => v === undefined || v === null || v === '' || v === false || (Array.isArray(v) && v.length === 0);
+    const sizeOf = v => (typeof v === 'string' || Array.isArray(v)) ? v.length : Number(v);
+    const validators = Object.create(null);
+    const validatorMessages = Object.create(null);
+
+    function addValidator(name, fn, message) {
+        validators[name] = fn;
+        if (message) validatorMessages[name] = message;
+    }
+
+    addValidator('required', v => !isEmptyValue(v), 'This field is required');
+    addValidator('email', v => isEmptyValue(v) || /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(String(v)), 'Enter a valid email address');
+    addValidator('min', (v, min) => isEmptyValue(v) || sizeOf(v) >= Number(min),
+        (min, v) => typeof v === 'string' ? `Must be at least ${min} characters` : `Must be at least ${min}`);
+    addValidator('max', (v, max) => isEmptyValue(v) || sizeOf(v) <= Number(max),
+        (max, v) => typeof v === 'string' ? `Must be at most ${max} characters` : `Must be at most ${max}`);
+    addValidator('pattern', (v, re) => isEmptyValue(v) || (re instanceof RegExp ? re : new RegExp(`^(?:${re})$`)).test(String(v)), 'Invalid format');
+    addValidator('match', (v, other, { scope }) => v === resolvePath(scope, other), 'Does not match');
+
+    // "required|email|min:8|match:password" → { required: true, email: true, min: '8', match: 'password' }
+    function parseRules(rules) {
+        if (typeof rules !== 'string') return rules || {};
+        const out = {};
+        rules.split('|').map(s => s.trim()).filter(Boolean).forEach(rule => {
+            const i = rule.indexOf(':');
+            if (i < 0) out[rule] = true;
+            else out[rule.slice(0, i).trim()] = rule.slice(i + 1).trim();
+        });
+        return out;
+    }
+
+    const VALIDATOR = Symbol('px64.validator');
+
+    // validate(scope, { 'user.email': 'required|email', age: { min: 18 } }, { messages })
+    // One validator per scope, also reachable as `scope.$validation`; later calls
+    // (and `data-validate` attributes on value:/checkbox:/radio: inputs) add fields.
+    // Rules may be strings or objects; `custom: fn` (or an array of fns) adds
+    // ad-hoc validators, any of which may return a promise.
+    function validate(scope, rules, options = {}) {
+        const target = rawOf(scope);
+        let v = target[VALIDATOR];
+        if (!v) {
+            v = createValidator(target, options);
+            Object.defineProperty(target, VALIDATOR, { value: v });
+            Object.defineProperty(target, '$validation', { value: v, configurable: true });
+            // bindings made before validate() (enable:$validation.isValid) pick it up now
+            if (target[OBS]) notify(target, '$validation', v, undefined);
+        }
+        if (rules) Object.keys(rules).forEach(path => v.addField(path, rules[path]));
+        return v;
+    }
+
+    function createValidator(scope, options) {
+        const v = observable({ errors: {}, isValid: true, isDirty: false, isTouched: false, pending: false });
+        Object.defineProperty(v, TRANSIENT, { value: true });
+        const fields = new Map(); // path -> { rules, state, initial, run, unsubs }
+        const messages = options.messages || {};
+
+        const refresh = () => batch(() => {
+            let valid = true, dirty = false, touched = false, pending = false;
+            fields.forEach(({ state }) => {
+                valid = valid && !state.error && !state.pending;
+                dirty = dirty || state.dirty;
+                touched = touched || state.touched;
+                pending = pending || state.pending;
+            });
+            v.$set('isValid', valid);
+            v.$set('isDirty', dirty);
+            v.$set('isTouched', touched);
+            v.$set('pending', pending);
+        });
+
+        const setError = (path, field, error) => batch(() => {
+            field.state.$set('error', error);
+            field.state.$set('valid', !error);
+            if (error) v.errors.$set(path, error);
+            else if (path in v.errors) removeKey(v.errors, path);
+        });
+
+        const messageFor = (name, result, arg, value, fieldMessages) => {
+            if (typeof result === 'string') return result;
+            const m = (fieldMessages && fieldMessages[name]) || messages[name] || validatorMessages[name] || 'Invalid value';
+            return isFn(m) ? m(arg, value) : m;
+        };
+
+        const check = (path) => {
+            const field = fields.get(path);
+            if (!field) return Promise.resolve(true);
+            const run = ++field.run;
+            const value = resolvePath(scope, path);
+            const ctx = { scope, path };
+            const { messages: fieldMessages, custom, ...named } = field.rules;
+            const checks = Object.keys(named)
+                .filter(name => named[name] !== false)
+                .map(name => {
+                    const fn = validators[name];
+                    if (!fn) {
+                        console.warn(`px64: unknown validator "${name}"`);
+                        return null;
+                    }
+                    return { name, arg: named[name], fn };
+                })
+                .filter(Boolean)
+                .concat([].concat(custom || []).map(fn => ({ name: 'custom', arg: undefined, fn: (val, arg, c) => fn(val, c.scope) })));
+
+            field.state.$set('dirty', !deepEqual(toJSON(value), field.initial));
+
+            // sync validators first; async ones only run once those pass
+            const asyncChecks = [];
+            for (const c of checks) {
+                const result = c.fn(value, c.arg, ctx);
+                if (result && isFn(result.then)) {
+                    asyncChecks.push(result.then(r => ({ c, r })));
+                    continue;
+                }
+                if (result !== true && result !== undefined) {
+                    setError(path, field, messageFor(c.name, result, c.arg, value, fieldMessages));
+                    field.state.$set('pending', false);
+                    refresh();
+                    return Promise.resolve(false);
+                }
+            }
+            if (!asyncChecks.length) {
+                setError(path, field, null);
+                field.state.$set('pending', false);
+                refresh();
+                return Promise.resolve(true);
+            }
+
+            field.state.$set('pending', true);
+            refresh();
+            return Promise.all(asyncChecks).then(results => {
+                if (run !== field.run) return !field.state.error; // superseded
+                const failed = results.find(({ r }) => r !== true && r !== undefined);
+                setError(path, field, failed ? messageFor(failed.c.name, failed.r, failed.c.arg, value, fieldMessages) : null);
+                field.state.$set('pending', false);
+                refresh();
+                return !failed;
+            }, err => {
+                if (run !== field.run) return false;
+                setError(path, field, (err && err.message) || String(err));
+                field.state.$set('pending', false);
+                refresh();
+                return false;
+            });
+        };
+
+        v.addField = (path, rules) => {
+            const parsed = parseRules(rules);
+            const existing = fields.get(path);
+            if (existing) {
+                Object.assign(existing.rules, parsed);
+                check(path);
+                return existing.state;
+            }
+            const state = observable({ error: null, valid: true, dirty: false, touched: false, pending: false });
+            const field = { rules: parsed, state, initial: toJSON(resolvePath(scope, path)), run: 0, unsubs: [] };
+            fields.set(path, field);
+            // re-check on change of the field, and of any field it must match
+            [path].concat(parsed.match ? [parsed.match] : []).forEach(p => {
+                field.unsubs.push(watchPath(scope, p, () => check(path)));
+            });
+            check(path);
+            // valid:/invalid:/error-text: bound before this field existed switch to it now
+            const waiting = fieldWaiters.get(scope);
+            const pending = waiting && waiting.get(path);
+            if (pending) {
+                waiting.delete(path);
+                pending.forEach(fn => fn(state));
+            }
+            return state;
+        };
+
+        // field state ({ error, valid, dirty, touched, pending }) for a registered path
+        v.field = path => {
+            const field = fields.get(path);
+            return field ? field.state : undefined;
+        };
+
+        v.touch = (path) => {
+            const field = fields.get(path);
+            if (!field || field.state.touched) return;
+            field.state.$set('touched', true);
+            refresh();
+        };
+
+        // validate everything and mark every field touched (e.g. on submit)
+        v.validate = () => {
+            batch(() => fields.forEach(({ state }) => state.$set('touched', true)));
+            return Promise.all(Array.from(fields.keys()).map(check)).then(results => {
+                refresh();
+                return results.every(Boolean);
+            });
+        };
+
+        // take the current values as the new baseline; clear touched/dirty
+        v.reset = () => {
+            batch(() => fields.forEach((field, path) => {
+                field.initial = toJSON(resolvePath(scope, path));
+                field.state.$set('touched', false);
+                field.state.$set('dirty', false);
+            }));
+            fields.forEach((field, path) => check(path));
+        };
+
+        v.dispose = () => {
+            fields.forEach(field => field.unsubs.forEach(u => u()));
+            fields.clear();
+        };
+
+        return v;
+    }
+
+    // The field state for `path` when the scope's validator has registered it
+    function fieldState(scope, path) {
+        const v = scope && rawOf(scope)[VALIDATOR];
+        return v ? v.field(path) : undefined;
+    }
+
+    // value:/checkbox:/radio: hook — register `data-validate` rules and mark the
+    // field touched when the user leaves it
+    function bindValidation(el, scope, path, touchEvent) {
+        const rules = el.getAttribute('data-validate');
+        if (rules !== null) validate(scope).addField(path, rules);
+        const v = rawOf(scope)[VALIDATOR];
+        if (!v || !v.field(path)) return;
+        const onTouch = () => v.touch(path);
+        el.addEventListener(touchEvent, onTouch);
+        registerObserver(el, () => el.removeEventListener(touchEvent, onTouch));
+    }
+
+    const fieldWaiters = new WeakMap(); // raw scope -> Map(path -> Set of fns)
+
+    // valid:/invalid:/error-text: on a validated field: apply(showError, error)
+    // once the field has been touched or changed. The field may be registered
+    // later than this binding (its input comes further down the page, or
+    // validate() runs after bind), so until then fallback(active) binds `path`
+    // as a plain value; its updates must be skipped once active() is false.
+    function bindFieldState(el, scope, path, apply, fallback) {
+        let state = null;
+        const attach = (s) => {
+            state = s;
+            const update = () => batchUpdate(() => {
+                const visible = state.touched || state.dirty;
+                apply(visible && !!state.error, visible ? state.error : null, visible);
+            });
+            update();
+            ['error', 'touched', 'dirty'].forEach(k => registerObserver(el, state.$observe(k, update)));
+        };
+
+        const current = fieldState(scope, path);
+        if (current) {
+            attach(current);
+            return;
+        }
+        fallback(() => !state);
+
+        const target = rawOf(scope);
+        if (!fieldWaiters.has(target)) fieldWaiters.set(target, new Map());
+        const waiting = fieldWaiters.get(target);
+        if (!waiting.has(path)) waiting.set(path, new Set());
+        const fns = waiting.get(path);
+        fns.add(attach);
+        registerObserver(el, () => fns.delete(attach));
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────────
+    // Expressions — `show: items.length > 0 && !loading`
+    // A small tokenizer/parser/evaluator; no eval or new Function, so bindings keep
+    // working under a strict Content-Security-Policy. Supports string/number/
+    // boolean/null literals, paths, a[b], calls, ! - +, * / %, + -, < <= > >=,
+    // == != === !==, && || ??, ?: and parentheses, plus a trailing filter chain
+    // (`price | currency:'EUR' | upper`). Plain dotted paths bypass it.
+
+    const EXPR_PUNCT = ['===', '!==', '==', '!=', '<=', '>=', '&&', '||', '??',
+        '<', '>', '+', '-', '*', '/', '%', '!', '?', ':', '.', ',', '(', ')', '[', ']', '|'];
+    const EXPR_LITERALS = { true: true, false: false, null: null, undefined: undefined };
+    const EXPR_ESCAPES = { n: '\n', t: '\t', r: '\r' };
+    const BINARY_PRECEDENCE = {
+        '??': 1, '||': 2, '&&': 3,
+        '==': 4, '!=': 4, '===': 4, '!==': 4,
+        '<': 5, '<=': 5, '>': 5, '>=': 5,
+        '+': 6, '-': 6, '*': 7, '/': 7, '%': 7
+    };
+    const BINARY_OPS = {
+        '==': (a, b) => a == b, '!=': (a, b) => a != b,
+        '===': (a, b) => a === b, '!==': (a, b) => a !== b,
+        '<': (a, b) => a < b, '<=': (a, b) => a <= b, '>': (a, b) => a > b, '>=': (a, b) => a >= b,
+        '+': (a, b) => a + b, '-': (a, b) => a - b, '*': (a, b) => a * b, '/': (a, b) => a / b, '%': (a, b) => a % b
+    };
+    // never reachable from a binding: they lead to Function and the prototype chain
+    const BLOCKED_KEYS = ['constructor', '__proto__', 'prototype'];
+
+    // `user.name`, `items.0.title`, `$store.cart.count` — resolved by resolvePath/watchPath.
+    // Hyphenated keys (`data.first-name`) stay paths as they always were; write
+    // subtraction with a number or spaces (`count-1`, `total - discount`).
+    // Paths through a blocked key go to the parser, which refuses them.
+    const PLAIN_PATH = /^[\w$]+(-[A-Za-z_$][\w$]*)*(\.[\w$]+(-[A-Za-z_$][\w$]*)*)*$/;
+    const isPlainPath = s => PLAIN_PATH.test(s) && !hasOwn(EXPR_LITERALS, s) && !/^\d+$/.test(s)
+        && !s.split('.').some(k => BLOCKED_KEYS.includes(k));
+
+    function exprError(message, pos) {
+        const err = new Error(`${message} at column ${pos + 1}`);
+        err.reason = message;
+        err.column = pos + 1;
+        return err;
+    }
+
+    function tokenizeExpr(src) {
+        const tokens = [];
+        let i = 0;
+        while (i < src.length) {
+            const ch = src[i];
+            const start = i;
+            if (/\s/.test(ch)) {
+                i++;
+            } else if (/\d/.test(ch)) {
+                const num = /^\d+(\.\d+)?([eE][+-]?\d+)?/.exec(src.slice(i))[0];
+                tokens.push({ type: 'num', value: Number(num), pos: start });
+                i += num.length;
+            } else if (ch === '"' || ch === "'") {
+                let value = '';
+                i++;
+                while (i < src.length && src[i] !== ch) {
+                    if (src[i] === '\\' && i + 1 < src.length) {
+                        i++;
+                        value += EXPR_ESCAPES[src[i]] || src[i];
+                    } else {
+                        value += src[i];
+                    }
+                    i++;
+                }
+                if (i >= src.length) throw exprError('Unterminated string', start);
+                i++;
+                tokens.push({ type: 'str', value, pos: start });
+            } else if (/[A-Za-z_$]/.test(ch)) {
+                const name = /^[\w$]+/.exec(src.slice(i))[0];
+                tokens.push({ type: 'id', value: name, pos: start });
+                i += name.length;
+            } else {
+                const op = EXPR_PUNCT.find(p => src.startsWith(p, i));
+                if (!op) throw exprError(`Unexpected character "${ch}"`, start);
+                tokens.push({ type: 'op', value: op, pos: start });
+                i += op.length;
+            }
+        }
+        tokens.push({ type: 'end', pos: src.length });
+        return tokens;
+    }
+
+    // Precedence-climbing parser → { type: 'lit' | 'id' | 'member' | 'call' | 'unary' | 'binary' | 'cond' | 'pipe', … }
+    function parseExpr(src) {
+        const tokens = tokenizeExpr(src);
+        let i = 0;
+        const peek = () => tokens[i];
+        const isOp = v => peek().type === 'op' && peek().value === v;
+        const unexpected = () => {
+            const t = peek();
+            return exprError(t.type === 'end' ? 'Unexpected end of expression' : `Unexpected "${t.value}"`, t.pos);
+        };
+        const expect = v => {
+            if (!isOp(v)) throw unexpected();
+            i++;
+        };
+
+        function ternary() {
+            const test = binary(0);
+            if (!isOp('?')) return test;
+            i++;
+            const consequent = ternary();
+            expect(':');
+            return { type: 'cond', test, consequent, alternate: ternary() };
+        }
+
+        function binary(minPrec) {
+            let left = unary();
+            for (;;) {
+                const t = peek();
+                const prec = t.type === 'op' ? BINARY_PRECEDENCE[t.value] : 0;
+                if (!prec || prec <= minPrec) return left;
+                i++;
+                left = { type: 'binary', op: t.value, left, right: binary(prec) };
+            }
+        }
+
+        function unary() {
+            if (isOp('!') || isOp('-') || isOp('+')) {
+                const op = tokens[i++].value;
+                return { type: 'unary', op, argument: unary() };
+            }
+            return postfix(primary());
+        }
+
+        function postfix(node) {
+            for (;;) {
+                if (isOp('.')) {
+                    i++;
+                    const t = peek();
+                    if (t.type !== 'id' && t.type !== 'num') throw unexpected();
+                    i++;
+                    node = { type: 'member', object: node, property: { type: 'lit', value: String(t.value) } };
+                } else if (isOp('[')) {
+                    i++;
+                    const property = ternary();
+                    expect(']');
+                    node = { type: 'member', object: node, property };
+                } else if (isOp('(')) {
+                    i++;
+                    const args = [];
+                    while (!isOp(')')) {
+                        args.push(ternary());
+                        if (!isOp(',')) break;
+                        i++;
+                    }
+                    expect(')');
+                    node = { type: 'call', callee: node, args };
+                } else {
+                    return node;
+                }
+            }
+        }
+
+        function primary() {
+            const t = peek();
+            if (t.type === 'num' || t.type === 'str') {
+                i++;
+                return { type: 'lit', value: t.value };
+            }
+            if (t.type === 'id') {
+                i++;
+                return hasOwn(EXPR_LITERALS, t.value) ? { type: 'lit', value: EXPR_LITERALS[t.value] } : { type: 'id', name: t.value };
+            }
+            if (isOp('(')) {
+                i++;
+                const inner = ternary();
+                expect(')');
+                return inner;
+            }
+            throw unexpected();
+        }
+
+        // expr | name:arg:arg | name — filter arguments are expressions too
+        function pipeline() {
+            let node = ternary();
+            while (isOp('|')) {
+                i++;
+                const t = peek();
+                if (t.type !== 'id') throw unexpected();
+                i++;
+                const args = [];
+                while (isOp(':')) {
+                    i++;
+                    args.push(binary(0));
+                }
+                node = { type: 'pipe', input: node, name: t.value, args };
+            }
+            return node;
+        }
+
+        const ast = pipeline();
+        if (peek().type !== 'end') throw unexpected();
+        return ast;
+    }
+
+    const exprCache = new Map(); // source -> AST
+    function compileExpr(src) {
+        if (!exprCache.has(src)) exprCache.set(src, parseExpr(src));
+        return exprCache.get(src);
+    }
+
+    // Property read that records the dependency while a watcher is evaluating
+    function getMember(obj, key) {
+        if (obj === null || obj === undefined) return undefined;
+        key = String(key);
+        if (BLOCKED_KEYS.includes(key)) return undefined;
+        if (tracking && obj.$observe && !Array.isArray(obj) && key[0] !== '$') track(obj, key);
+        return obj[key];
+    }
+
+    // locals[SCOPES]: enclosing scopes searched (in order) for names `scope` lacks
+    const SCOPES = Symbol('px64.scopes');
+    const ownerOf = (scope, name, locals) => {
+        const chain = locals && locals[SCOPES];
+        if (!chain || (scope && name in Object(scope))) return scope;
+        return chain.find(s => s && name in Object(s)) || scope;
+    };
 
-        const notify = (prop, value, old) => {
-            const m = obj[OBS].get(prop);
-            if (m) m.forEach(fn => fn(value, old));
-            const any = obj[OBS].get('*');
-            if (any) any.forEach(fn => fn(prop, value, old));
-        };
+    // Identifiers resolve against `locals` (e.g. $event), then `$store`, then the
+    // scope (and any enclosing scopes in locals[SCOPES])
+    function evalExpr(node, scope, locals) {
+        const ev = n => evalExpr(n, scope, locals);
+        switch (node.type) {
+            case 'lit': return node.value;
+            case 'id':
+                if (locals && locals[ROW] && hasOwn(ROW_CONTEXT_KEYS, node.name)) return getMember(locals[ROW], ROW_CONTEXT_KEYS[node.name]);
+                if (locals && hasOwn(locals, node.name)) return locals[node.name];
+                if (node.name === '$store') return stores;
+                return getMember(ownerOf(scope, node.name, locals), node.name);
+            case 'member': return getMember(ev(node.object), ev(node.property));
+            case 'unary': {
+                const v = ev(node.argument);
+                return node.op === '!' ? !v : node.op === '-' ? -v : +v;
+            }
+            case 'binary': {
+                const left = ev(node.left);
+                if (node.op === '&&') return left && ev(node.right);
+                if (node.op === '||') return left || ev(node.right);
+                if (node.op === '??') return left ?? ev(node.right);
+                return BINARY_OPS[node.op](left, ev(node.right));
+            }
+            case 'cond': return ev(node.test) ? ev(node.consequent) : ev(node.alternate);
+            case 'pipe': return applyFilter(node.name, ev(node.input), node.args.map(ev));
+            case 'call': {
+                const { callee } = node;
+                const self = callee.type === 'member' ? ev(callee.object) : ownerOf(scope, callee.name, locals);
+                const fn = callee.type === 'member' ? getMember(self, ev(callee.property)) : ev(callee);
+                if (!isFn(fn)) throw new Error(`${exprName(callee)} is not a function`);
+                return fn.apply(self, node.args.map(ev));
+            }
+        }
+        return undefined;
+    }
 
-        obj.$observe = function (prop, fn) {
-            const key = prop || '*';
-            if (!obj[OBS].has(key)) obj[OBS].set(key, new Set());
-            obj[OBS].get(key).add(fn);
-            return () => obj[OBS].get(key).delete(fn);
+    const exprName = n => n.type === 'id' ? n.name
+        : n.type === 'member' ? `${exprName(n.object)}.${n.property.type === 'lit' ? n.property.value : '[…]'}`
+            : 'expression';
+
+    // Calls fn(value) now and fn(value, old) whenever a value the expression read
+    // changes (dependencies are re-collected on every evaluation, so branches
+    // like `a ? b : c` follow whichever side is live). Returns an unsubscribe function.
+    function watchExpr(scope, ast, fn, locals) {
+        let unsubs = [];
+        let current;
+        const stop = () => {
+            unsubs.forEach(u => u());
+            unsubs = [];
         };
-
-        obj.$set = function (prop, value) {
-            const old = obj[prop];
-            if (old === value) return;
-            obj[prop] = value;
-            notify(prop, value, old);
+        const run = () => {
+            stop();
+            const { result, deps } = collectDeps(() => {
+                try {
+                    return evalExpr(ast, scope, locals);
+                } catch (e) {
+                    console.warn('px64 expression error:', e);
+                    return undefined;
+                }
+            });
+            unsubs = deps.map(([target, key]) => target.$observe(key, changed));
+            return result;
         };
+        function changed() {
+            const old = current;
+            current = run();
+            if (!Object.is(current, old)) fn(current, old);
+        }
+        current = run();
+        fn(current);
+        return stop;
+    }
 
-        // wrap nested objects shallowly
-        Object.keys(obj).forEach(k => {
-            if (isObj(obj[k]) && !obj[k][OBS]) obj[k] = observable(obj[k]);
-        });
+    // ─────────────────────────────────────────────────────────────────────────────
+    // Filters — `text: price | currency:'EUR'`, `attr:title: name | upper`
+    // fn(value, ...args) => formatted value. Arguments are expressions, so they
+    // can be literals or scope paths (`truncate:maxLength`).
+    const filters = Object.create(null);
 
-        return obj;
+    function addFilter(name, fn) {
+        filters[name] = fn;
     }
 
-    // Simple list wrapper with paging/sorting and change events
-    function listState(items = []) {
-        const state = observable({
-            items: items.slice(),
-            page: 1,
-            pageSize: 20,
-            sortKey: null,
-            sortDir: 'asc',
-            total: items.length,
-            loading: false
-        });
+    function applyFilter(name, value, args) {
+        const fn = filters[name];
+        if (!fn) {
+            console.warn(`px64: unknown filter "${name}"`);
+            return value;
+        }
+        return fn(value, ...args);
+    }
 
-        state.setItems = (arr) => {
-            state.$set('items', arr.slice());
-            state.$set('total', arr.length);
-        };
+    const isBlank = v => v === undefined || v === null || v === '';
+    const toDate = v => isDate(v) ? v : new Date(v);
+
+    addFilter('currency', (v, currency = 'USD', locale) => isBlank(v) || isNaN(v) ? ''
+        : new Intl.NumberFormat(locale, { style: 'currency', currency }).format(Number(v)));
+    addFilter('number', (v, digits, locale) => isBlank(v) || isNaN(v) ? ''
+        : new Intl.NumberFormat(locale, digits === undefined ? {} : { minimumFractionDigits: digits, maximumFractionDigits: digits }).format(Number(v)));
+    // date:'datetime' | date:'time' | date:'iso' | date:{ Intl options } — "Dec 15, 2024" by default
+    addFilter('date', (v, format = 'date', locale) => {
+        if (isBlank(v)) return '';
+        const date = toDate(v);
+        if (isNaN(date)) return '';
+        if (format === 'iso') return date.toISOString();
+        if (format === 'time') return date.toLocaleTimeString(locale, { hour: 'numeric', minute: '2-digit' });
+        if (isObj(format)) return new Intl.DateTimeFormat(locale, format).format(date);
+        const fmt = _dateFormats[format] || _dateFormats.date;
+        return (locale ? new Intl.DateTimeFormat(locale, fmt.resolvedOptions()) : fmt).format(date);
+    });
+    addFilter('upper', v => isBlank(v) ? '' : String(v).toUpperCase());
+    addFilter('lower', v => isBlank(v) ? '' : String(v).toLowerCase());
+    addFilter('truncate', (v, length = 50, suffix = '…') => {
+        const str = isBlank(v) ? '' : String(v);
+        return str.length > length ? str.slice(0, Math.max(0, length - suffix.length)) + suffix : str;
+    });
+    addFilter('default', (v, fallback = '') => isBlank(v) ? fallback : v);
+    addFilter('json', (v, indent = 0) => v === undefined ? '' : JSON.stringify(toJSON(v), null, indent));
 
-        state.sorted = () => {
-            const { items, sortKey, sortDir } = state;
-            if (!sortKey) return items;
-            return items.slice().sort(by(sortKey, sortDir));
+    // ─────────────────────────────────────────────────────────────────────────────
+    // data-bind parsing
+    //   data-bind="text:title, ternary:done:'Yes, done':'No', show: count > 0"
+    // Bindings are split on top-level commas and the binder name on the first
+    // top-level colon; quoted strings and (), [], {} are kept intact. Shorthand
+    // `data-bind="title"` (anything not starting with `name:`) means `text:title`.
+
+    const BRACKETS = { '(': ')', '[': ']', '{': '}' };
+    // a quote opens a string only where a value can start, so `Don't` stays a word
+    const STRING_CAN_START = /^$|[\s(\[{,:?|+\-*/%!=<>&]$/;
+
+    // Split `src` on `sep` outside strings and brackets → [{ text, start }], with
+    // `text` trimmed and `start` its offset in `src`. Throws (with `column`) on an
+    // unterminated string or unbalanced bracket.
+    function splitTopLevel(src, sep) {
+        const parts = [];
+        const open = [];
+        let quote = null;
+        let quoteAt = 0;
+        let from = 0;
+        const push = (to) => {
+            const raw = src.slice(from, to);
+            parts.push({ text: raw.trim(), start: from + (raw.length - raw.trimStart().length) });
         };
+        for (let i = 0; i < src.length; i++) {
+            const ch = src[i];
+            if (quote) {
+                if (ch === '\\') i++;
+                else if (ch === quote) quote = null;
+            } else if ((ch === '"' || ch === "'") && STRING_CAN_START.test(src.slice(from, i).trimEnd().slice(-1))) {
+                quote = ch;
+                quoteAt = i;
+            } else if (BRACKETS[ch]) {
+                open.push(i);
+            } else if (ch === ')' || ch === ']' || ch === '}') {
+                const at = open.pop();
+                if (at === undefined || BRACKETS[src[at]] !== ch) throw exprError(`Unexpected "${ch}"`, i);
+            } else if (ch === sep && !open.length) {
+                push(i);
+                from = i + 1;
+            }
+        }
+        if (quote) throw exprError('Unterminated string', quoteAt);
+        if (open.length) throw exprError(`Unclosed "${src[open[open.length - 1]]}"`, open[open.length - 1]);
+        push(src.length);
+        return parts;
+    }
 
-        state.paged = () => {
-            const { page, pageSize } = state;
-            const src = state.sorted();
-            const start = (page - 1) * pageSize;
-            return src.slice(start, start + pageSize);
-        };
+    // "'Yes, done'" → "Yes, done" (unquoted text is returned as is)
+    const unquote = s => /^(['"])[\s\S]*\1$/.test(s) ? s.slice(1, -1) : s;
 
-        state.nextPage = () => state.$set('page', Math.min(Math.ceil(state.total / state.pageSize), state.page + 1));
-        state.prevPage = () => state.$set('page', Math.max(1, state.page - 1));
-        state.sortBy = (k, dir) => { state.$set('sortKey', k); if (dir) state.$set('sortDir', dir); };
+    // parse `data-bind="text:name, attr:title:fullName"` into an AST:
+    //   [{ type: 'binding', cmd: 'text', arg: 'name', args: ['name'], modifiers: [], column: 1, argColumn: 6 },
+    //    { type: 'binding', cmd: 'attr', arg: 'title:fullName', args: ['title', 'fullName'], … }]
+    // A malformed binding becomes { type: 'error', message, column } (columns are
+    // 1-based offsets into the attribute); the rest still parse.
+    function parseBinds(str) {
+        str = str || '';
+        let segments;
+        try {
+            segments = splitTopLevel(str, ',');
+        } catch (e) {
+            return [{ type: 'error', message: e.reason, column: e.column }];
+        }
+        return segments.filter(seg => seg.text).map(({ text, start }) => {
+            try {
+                const parts = splitTopLevel(text, ':');
+                if (parts.length === 1 || !/^[\w-]+(\.[\w-]+)*$/.test(parts[0].text)) {
+                    return { type: 'binding', cmd: 'text', arg: text, args: [text], modifiers: [], column: start + 1, argColumn: start + 1 }; // shorthand
+                }
+                // binder modifiers: value.number.lazy:age → cmd 'value', modifiers ['number', 'lazy']
+                const [cmd, ...modifiers] = parts[0].text.split('.');
+                const arg = parts[1] ? text.slice(parts[1].start).trim() : '';
+                if (!arg && cmd !== 'else') return { type: 'error', message: `Missing value for "${parts[0].text}:"`, column: start + text.length + 1 };
+                return {
+                    type: 'binding', cmd, arg, modifiers,
+                    args: parts.slice(1).map(p => p.text), // allow attr:data-id:user.id etc.
+                    column: start + 1,
+                    argColumn: start + parts[1].start + 1
+                };
+            } catch (e) {
+                return { type: 'error', message: e.reason, column: start + e.column };
+            }
+        });
+    }
 
-        return state;
+    // Developer-facing report for a bad binding, pointing at the offending column
+    function warnBinding(el, source, message, column) {
+        console.warn(`px64 binding error: ${message} at column ${column}\n  data-bind="${source}"\n  ${' '.repeat(10 + column)}^`, el);
     }
 
     // ─────────────────────────────────────────────────────────────────────────────
@@ -309,24 +2128,6 @@
 
     function addBinder(name, fn) { binders[name] = fn; }
 
-    // parse `data-bind="text:name, attr:title:fullName"`
-    // ALSO support shorthand: `data-bind="name"` → `text:name`
-    function parseBinds(str) {
-        return str
-            .split(',')
-            .map(s => s.trim())
-            .filter(Boolean)
-            .map(tok => {
-                const parts = tok.split(':').map(s => s.trim());
-                if (parts.length === 1) {
-                    return { cmd: 'text', arg: parts[0] }; // shorthand
-                }
-                const cmd = parts.shift();
-                const arg = parts.join(':'); // allow attr:data-id:user.id etc.
-                return { cmd, arg };
-            });
-    }
-
     // scope stack walker
     function bindTree(root, scope) {
         const stack = [{ el: root, scope }];
@@ -525,19 +2326,16 @@
     function walk(el, scope, stack) {
         // This element first
         if (el.hasAttribute && el.hasAttribute('data-bind')) {
-            applyBinds(el, scope, stack);
+            const binds = applyBinds(el, scope, stack);
+            // view, template and structural binders handle their subtree; don't double-walk
+            if (binds.some(b => b.cmd === 'view' || b.cmd === 'template' || STRUCTURAL_BINDERS.includes(b.cmd))) return;
         }
 
         // Then children
         const children = el.children ? toArray(el.children) : [];
         for (const child of children) {
-            if (child.hasAttribute && child.hasAttribute('data-bind')) {
-                const binds = child.getAttribute('data-bind');
-                if (binds && /\bview\s*:/.test(binds)) {
-                    // view binder will handle its subtree; don't double-walk
-                    continue;
-                }
-            }
+            // else-if:/else: elements taken out by an if: sibling are branch templates now
+            if (conditionalBranches.has(child)) continue;
             walk(child, scope, stack);
         }
     }
@@ -546,23 +2344,47 @@
         if (!path || path === '') return scope;
 
         // Handle edge cases: remove empty segments and trailing dots
-        const keys = path.split('.').filter(k => k !== '');
-        if (keys.length === 0) return scope;
+        const { root, keys } = pathRoot(scope, path.split('.').filter(k => k !== ''));
+        if (keys.length === 0) return root;
 
         return keys.reduce((acc, k) => {
             // Handle null/undefined gracefully
             if (acc === null || acc === undefined) return undefined;
             return acc[k];
-        }, scope);
+        }, root);
     }
 
+    // The binding being applied, so reactive() can place expression errors
+    let currentBinding = null; // { el, source, binding }
+
+    // Binders that take over the element itself (it is removed, and bound later as
+    // a template); the element's other bindings are left for them to apply
+    const STRUCTURAL_BINDERS = ['if', 'else-if', 'else'];
+
     function applyBinds(el, scope, stack) {
-        const binds = parseBinds(el.getAttribute('data-bind'));
-        for (const b of binds) {
+        const source = el.getAttribute('data-bind');
+        const binds = parseBinds(source);
+        const structural = binds.find(b => STRUCTURAL_BINDERS.includes(b.cmd));
+        for (const b of structural ? [structural] : binds) {
+            if (b.type === 'error') {
+                warnBinding(el, source, b.message, b.column);
+                continue;
+            }
             const fn = binders[b.cmd];
-            if (!fn) continue;
-            fn({ el, scope, arg: b.arg, stack });
+            if (!fn) {
+                warnBinding(el, source, `Unknown binder "${b.cmd}"`, b.column);
+                continue;
+            }
+            currentBinding = { el, source, binding: b };
+            try {
+                fn({ el, scope, arg: b.arg, modifiers: b.modifiers, stack });
+            } catch (e) {
+                console.warn(`px64 binder error in "${b.cmd}:${b.arg}":`, e, el);
+            } finally {
+                currentBinding = null;
+            }
         }
+        return binds;
     }
 
     // ─────────────────────────────────────────────────────────────────────────────
@@ -580,37 +2402,23 @@
 
     // text:name OR shorthand "name"
     addBinder('text', ({ el, scope, arg }) => {
-        const path = arg || el.getAttribute('data-bind'); // when single token w/o colon
-        const targetPath = path.includes(':') ? path.split(':')[1] : path;
-        reactive(el, scope, targetPath, (v) => batchUpdate(() => {
+        reactive(el, scope, arg, (v) => batchUpdate(() => {
             el.textContent = v ?? '';
         }));
     });
 
     // ternary:condition:'true':'false' (dedicated ternary binder)
     addBinder('ternary', ({ el, scope, arg }) => {
-        const parts = arg.split(':');
+        const parts = splitTopLevel(arg, ':').map(p => p.text);
         if (parts.length !== 3) {
             console.warn('ternary binder requires format: condition:trueValue:falseValue');
             return;
         }
-        const [conditionPath, trueValue, falseValue] = parts;
-
-        const apply = () => batchUpdate(() => {
-            const conditionResult = !!resolvePath(scope, conditionPath.trim());
-            el.textContent = conditionResult ? trueValue : falseValue;
-        });
-
-        apply();
+        const [conditionPath, trueValue, falseValue] = [parts[0], unquote(parts[1]), unquote(parts[2])];
 
-        // Set up observer for the condition
-        const keys = conditionPath.trim().split('.');
-        const lastKey = keys.pop();
-        const parent = keys.length ? resolvePath(scope, keys.join('.')) : scope;
-        if (parent && parent.$observe) {
-            const unsubscribe = parent.$observe(lastKey, apply);
-            registerObserver(el, unsubscribe);
-        }
+        reactive(el, scope, conditionPath, (condition) => batchUpdate(() => {
+            el.textContent = condition ? trueValue : falseValue;
+        }));
     });
 
     // html:prop
@@ -629,94 +2437,699 @@
     });
 
     // value:prop (two-way for inputs)
-    addBinder('value', ({ el, scope, arg }) => {
-        const parentPath = arg.split('.').slice(0, -1).join('.');
-        const key = arg.split('.').pop();
-        const parent = parentPath ? resolvePath(scope, parentPath) : scope;
-        const apply = v => { if (el.value !== (v ?? '')) el.value = v ?? ''; };
-        apply(parent[key]);
-        if (parent && parent.$observe) {
-            const unsubscribe = parent.$observe(key, v => apply(v));
-            registerObserver(el, unsubscribe);
-        }
-        el.addEventListener('input', () => {
-            if (parent.$set) parent.$set(key, el.value);
-            else parent[key] = el.value; // non-observable fallback
+    // value.number / .trim / .lazy (update on change) / .debounce[.ms] modifiers.
+    // <select multiple> and checkbox groups (several checkboxes bound to one array)
+    // map to arrays, date inputs to Date objects, contenteditable to its text.
+    addBinder('value', ({ el, scope, arg, modifiers = [] }) => {
+        const has = m => modifiers.includes(m);
+        const d = modifiers.indexOf('debounce');
+        const wait = d < 0 ? 0 : /^\d+$/.test(modifiers[d + 1] || '') ? Number(modifiers[d + 1]) : DEFAULT_EVENT_WAIT;
+        const { read, write, event, text } = valueAccessor(el, () => resolvePath(scope, arg), {
+            number: has('number'), trim: has('trim'), lazy: has('lazy')
+        });
+
+        reactive(el, scope, arg, v => {
+            // text: skip when the DOM already says this (keeps the caret while typing "1." or "a ")
+            if (!text || read() !== v) write(v);
+        });
+        const update = () => setPath(scope, arg, read());
+        const onEvent = wait ? debounce(update, wait) : update;
+        el.addEventListener(event, onEvent);
+        registerObserver(el, () => {
+            el.removeEventListener(event, onEvent);
+            if (onEvent.cancel) onEvent.cancel();
+        });
+        bindValidation(el, scope, arg, event === 'change' ? 'change' : 'blur');
+    });
+
+    const pad2 = n => String(n).padStart(2, '0');
+    const DATE_INPUTS = {
+        date: d => `${d.getFullYear()}-${pad2(d.getMonth() + 1)}-${pad2(d.getDate())}`,
+        'datetime-local': d => `${DATE_INPUTS.date(d)}T${pad2(d.getHours())}:${pad2(d.getMinutes())}`,
+        month: d => `${d.getFullYear()}-${pad2(d.getMonth() + 1)}`
+    };
+
+    // How value: reads and writes a given control → { read(), write(v), event, text }
+    function valueAccessor(el, current, { number, trim, lazy }) {
+        const cast = s => {
+            if (trim) s = s.trim();
+            if (!number) return s;
+            const n = parseFloat(s);
+            return isNaN(n) ? s : n;
+        };
+        const type = (el.getAttribute('type') || '').toLowerCase();
+
+        if (el.isContentEditable) {
+            return {
+                read: () => cast(el.textContent),
+                write: v => { el.textContent = v ?? ''; },
+                event: lazy ? 'blur' : 'input',
+                text: true
+            };
+        }
+        if (el.tagName === 'SELECT' && el.multiple) {
+            return {
+                read: () => Array.from(el.selectedOptions).map(o => cast(o.value)),
+                write: v => {
+                    const values = (Array.isArray(v) ? v : []).map(String);
+                    Array.from(el.options).forEach(o => { o.selected = values.includes(o.value); });
+                },
+                event: 'change'
+            };
+        }
+        if (type === 'checkbox') {
+            // bound to an array: add/remove this box's value; otherwise a boolean
+            return {
+                read: () => {
+                    const list = current();
+                    if (!Array.isArray(list)) return el.checked;
+                    const value = cast(el.value);
+                    const rest = list.filter(x => x !== value);
+                    return el.checked ? rest.concat([value]) : rest;
+                },
+                write: v => { el.checked = Array.isArray(v) ? v.map(String).includes(el.value) : !!v; },
+                event: 'change'
+            };
+        }
+        if (type === 'radio') {
+            return {
+                read: () => el.checked ? cast(el.value) : current(),
+                write: v => { el.checked = String(v) === el.value; },
+                event: 'change'
+            };
+        }
+        if (DATE_INPUTS[type]) {
+            return {
+                read: () => {
+                    if (!el.value) return null;
+                    const [y, m, day = 1, h = 0, min = 0] = el.value.split(/[-T:]/).map(Number);
+                    return new Date(y, m - 1, day, h, min); // local time, like the picker shows
+                },
+                write: v => {
+                    const date = isBlank(v) ? null : toDate(v);
+                    el.value = date && !isNaN(date) ? DATE_INPUTS[type](date) : '';
+                },
+                event: lazy ? 'change' : 'input'
+            };
+        }
+        return {
+            read: () => cast(el.value),
+            write: v => { el.value = v ?? ''; },
+            event: lazy ? 'change' : 'input',
+            text: true
+        };
+    }
+
+    // show:expr / hide:expr (truthy)
+    const truthy = v => !!v;
+    addBinder('show', ({ el, scope, arg }) => {
+        reactive(el, scope, arg, (value) => batchUpdate(() => {
+            el.style.display = truthy(value) ? '' : 'none';
+        }));
+    });
+    addBinder('hide', ({ el, scope, arg }) => {
+        reactive(el, scope, arg, (value) => batchUpdate(() => {
+            el.style.display = truthy(value) ? 'none' : '';
+        }));
+    });
+
+    // attr:title:prop OR attr:data-id:order.id
+    addBinder('attr', ({ el, scope, arg }) => {
+        const i = arg.indexOf(':');
+        const attrName = arg.slice(0, i).trim();
+        reactive(el, scope, arg.slice(i + 1).trim(), v => el.setAttribute(attrName, v ?? ''));
+    });
+
+    // class:active:isActive
+    addBinder('class', ({ el, scope, arg }) => {
+        const i = arg.indexOf(':');
+        const cls = arg.slice(0, i).trim();
+        reactive(el, scope, arg.slice(i + 1).trim(), v => el.classList.toggle(cls, !!v));
+    });
+
+    // tap:logout (event delegation registered once on root)
+    // tap:remove(item.id, $event) / tap:setPage(page + 1) (call with arguments)
+    addBinder('tap', ({ el, scope, arg }) => {
+        // report malformed calls now rather than on first click
+        if (!isPlainPath(arg) && !compileBinding(el, arg)) return;
+        // We just annotate; global handler resolves when clicked
+        el.setAttribute('data-tap', arg);
+    });
+
+    // view:page  (scoped subtree & scope boundary)
+    addBinder('view', ({ el, scope, arg, stack }) => {
+        const childScope = resolvePath(scope, arg);
+        if (!childScope) return;
+        const obs = observable(childScope);
+        // mark this element as a new scope root so events resolve locally
+        assignScopeId(el, obs);
+        // bind only *children*, not the view host again
+        toArray(el.children).forEach(ch => walk(ch, obs, stack.concat([{ el, scope: obs }])));
+    });
+
+    // if:expr / else-if:expr / else: — structural: the chain (an if: element and
+    // the else-if:/else: elements right after it) is replaced by a comment anchor,
+    // and only the first truthy branch is in the DOM. A branch is bound when it
+    // is inserted and torn down (cleanupElement) when it goes away, so hidden
+    // branches don't observe, submit or get read by screen readers.
+    const conditionalBranches = new WeakSet(); // else-if:/else: elements claimed by an if:
+
+    // data-bind text without the structural binding, for the branch template
+    const bindingText = b => `${[b.cmd].concat(b.modifiers).join('.')}:${b.arg}`;
+
+    function stripConditional(el) {
+        const rest = parseBinds(el.getAttribute('data-bind'))
+            .filter(b => b.type === 'binding' && !STRUCTURAL_BINDERS.includes(b.cmd));
+        if (rest.length) el.setAttribute('data-bind', rest.map(bindingText).join(', '));
+        else el.removeAttribute('data-bind');
+        return el;
+    }
+
+    const conditionalOf = el => el.hasAttribute('data-bind')
+        ? parseBinds(el.getAttribute('data-bind')).find(b => b.cmd === 'else-if' || b.cmd === 'else')
+        : null;
+
+    // if: on an element without a parent (a list row's root): the element stays
+    // in place, hidden while the condition is false, and its contents are the
+    // branch that is inserted, bound and torn down. Its other bindings stay active.
+    function bindDetachedIf(el, scope, arg, stack) {
+        const content = document.createDocumentFragment();
+        toArray(el.childNodes).forEach(node => content.appendChild(node));
+        const display = el.style.display;
+
+        let shown = null;
+        const render = (show) => {
+            if (show === shown) return;
+            shown = show;
+            toArray(el.childNodes).forEach(node => {
+                if (node.nodeType === 1 || node.nodeType === 8) cleanupElement(node);
+                node.remove();
+            });
+            el.style.display = show ? display : 'none';
+            if (!show) return;
+            el.appendChild(content.cloneNode(true));
+            toArray(el.children).forEach(child => bindTree(child, scope));
+        };
+
+        let ready = false;
+        reactive(el, scope, arg, (v) => {
+            if (ready) batchUpdate(() => render(!!v));
+            else render(!!v);
+        });
+        ready = true;
+        if (stripConditional(el).hasAttribute('data-bind')) applyBinds(el, scope, stack);
+    }
+
+    addBinder('if', ({ el, scope, arg, stack }) => {
+        const parent = el.parentNode;
+        if (!parent) {
+            bindDetachedIf(el, scope, arg, stack);
+            return;
+        }
+        const branches = [{ test: arg, template: el }];
+        for (let next = el.nextElementSibling; next; next = next.nextElementSibling) {
+            const b = conditionalOf(next);
+            if (!b) break;
+            branches.push({ test: b.cmd === 'else' ? null : b.arg, template: next });
+            conditionalBranches.add(next);
+            if (b.cmd === 'else') break;
+        }
+
+        const anchor = document.createComment(` px64 if:${arg} `);
+        parent.replaceChild(anchor, el);
+        branches.forEach(b => {
+            if (b.template !== el) b.template.remove();
+            stripConditional(b.template);
+        });
+
+        const values = branches.map(() => false);
+        let active = -1;
+        let current = null;
+
+        const render = () => {
+            const index = branches.findIndex((b, i) => b.test === null || values[i]);
+            if (index === active) return;
+            if (current) {
+                cleanupElement(current);
+                current.remove();
+                current = null;
+            }
+            active = index;
+            if (index < 0 || !anchor.parentNode) return;
+            current = branches[index].template.cloneNode(true);
+            anchor.parentNode.insertBefore(current, anchor);
+            bindTree(current, scope);
+        };
+
+        // conditions and the live branch belong to the anchor, so they're torn
+        // down with it by whatever removes or cleans up the chain's container
+        let ready = false;
+        branches.forEach((b, i) => {
+            if (b.test === null) return;
+            reactive(anchor, scope, b.test, (v) => {
+                values[i] = !!v;
+                if (ready) batchUpdate(render);
+            });
+        });
+        registerObserver(anchor, () => {
+            if (current) cleanupElement(current);
+        });
+        ready = true;
+        render();
+    });
+
+    // else-if:/else: are consumed by the preceding if:; on their own they're an error
+    ['else-if', 'else'].forEach(name => addBinder(name, ({ el }) => {
+        if (conditionalBranches.has(el)) return;
+        const ctx = currentBinding;
+        if (ctx) warnBinding(el, ctx.source, `"${name}:" must directly follow an if: or else-if: element`, ctx.binding.column);
+    }));
+
+    // ─────────────────────────────────────────────────────────────────────────────
+    // Named templates and partials
+
+    // Names containing a "/" or ending in .html are partial URLs; anything else is
+    // the id of a <template> in the document
+    const isPartialUrl = name => /\/|\.html?$/i.test(name);
+    const partials = new Map(); // url -> Promise of a <template> element
+
+    // Fetch a partial once; later renders reuse the parsed template. A failed load
+    // isn't cached, so the next render tries again.
+    function loadPartial(url) {
+        if (!partials.has(url)) {
+            const request = Promise.resolve()
+                .then(() => global.fetch(url))
+                .then(res => {
+                    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+                    return res.text();
+                })
+                .then(html => {
+                    const tpl = document.createElement('template');
+                    tpl.innerHTML = html;
+                    return tpl;
+                });
+            request.catch(() => partials.delete(url));
+            partials.set(url, request);
+        }
+        return partials.get(url);
+    }
+
+    // <template> element, Promise of one (partials), or null when there's no such template
+    function templateNamed(name) {
+        if (isPartialUrl(name)) return loadPartial(name);
+        const tpl = document.getElementById(name);
+        return tpl && tpl.tagName === 'TEMPLATE' ? tpl : null;
+    }
+
+    // template:'user-card' — renders <template id="user-card"> inside the element.
+    // The argument is an expression, so template:cardName follows a scope property
+    // and re-renders when it changes. data-meta="scope:selectedUser" renders
+    // against another scope path (nothing is rendered while it's empty). Each
+    // render cleans up the previous instance and binds a fresh copy.
+    addBinder('template', ({ el, scope, arg }) => {
+        const meta = parseMeta(el.getAttribute('data-meta'));
+        let name = null;
+        let target = scope;
+        let sid = null;
+        let run = 0; // partials that arrive after a newer render started are dropped
+
+        function clear() {
+            toArray(el.childNodes).forEach(node => {
+                if (node.nodeType === 1 || node.nodeType === 8) cleanupElement(node);
+            });
+            el.innerHTML = '';
+            if (sid) {
+                scopeRegistry.delete(sid);
+                el.removeAttribute('data-scope-id');
+                sid = null;
+            }
+        }
+
+        function mount(tpl) {
+            clear();
+            if (!target || typeof target !== 'object') return;
+            const obs = observable(target);
+            // a different scope makes the element a scope root, so tap:/on: resolve there first
+            if (meta.scope) sid = assignScopeId(el, obs);
+            el.appendChild(tpl.content.cloneNode(true));
+            toArray(el.children).forEach(child => bindTree(child, obs));
+        }
+
+        function render() {
+            const id = ++run;
+            if (!name) return clear();
+            const found = templateNamed(name);
+            if (found && found.then) {
+                found.then(
+                    tpl => { if (id === run) mount(tpl); },
+                    e => { if (id === run) console.warn(`px64 template error: couldn't load "${name}":`, e.message || e, el); }
+                );
+            } else if (found) {
+                mount(found);
+            } else {
+                console.warn(`px64 template error: no <template id="${name}">`, el);
+                clear();
+            }
+        }
+
+        let ready = false;
+        let queued = false;
+        const schedule = () => {
+            if (!ready || queued) return;
+            queued = true;
+            batchUpdate(() => {
+                queued = false;
+                render();
+            });
+        };
+
+        reactive(el, scope, arg, (v) => {
+            name = v ? String(v).trim() : null;
+            schedule();
         });
+        if (meta.scope) {
+            reactive(el, scope, meta.scope, (v) => {
+                target = v;
+                schedule();
+            });
+        }
+        registerObserver(el, () => {
+            run++;
+            if (sid) scopeRegistry.delete(sid);
+        });
+        ready = true;
+        render();
     });
 
-    // show:expr / hide:expr (truthy)
-    const truthy = v => !!v;
-    addBinder('show', ({ el, scope, arg }) => {
-        reactive(el, scope, arg, (value) => batchUpdate(() => {
-            el.style.display = truthy(value) ? '' : 'none';
-        }));
-    });
-    addBinder('hide', ({ el, scope, arg }) => {
-        reactive(el, scope, arg, (value) => batchUpdate(() => {
-            el.style.display = truthy(value) ? 'none' : '';
-        }));
-    });
+    // ─────────────────────────────────────────────────────────────────────────────
+    // Row context: $index, $first, $last, $even, $odd, $parent and $root inside
+    // list rows. Each row node gets an observable context, updated in place as the
+    // row moves, so bindings that use it stay current after sorting and paging.
+
+    const rowContexts = new WeakMap(); // row node -> observable { index, first, …, parent, root }
+    const ROW = Symbol('px64.row'); // locals[ROW]: the row context expressions read $index etc. from
+    const ROW_CONTEXT_KEYS = {
+        $index: 'index', $first: 'first', $last: 'last', $even: 'even', $odd: 'odd',
+        $parent: 'parent', $root: 'root'
+    };
+
+    function rowPosition(index, count) {
+        return { index, first: index === 0, last: index === count - 1, even: index % 2 === 0, odd: index % 2 === 1 };
+    }
+
+    // The context of the row containing el, or null outside list rows
+    function rowContextOf(el) {
+        for (let node = el; node; node = node.parentElement) {
+            const context = rowContexts.get(node);
+            if (context) return context;
+        }
+        return null;
+    }
+
+    // `$parent.name` → { context, path: 'parent.name' } for an element inside a row
+    function rowContextPath(el, path) {
+        const [head, ...rest] = path.split('.');
+        if (!hasOwn(ROW_CONTEXT_KEYS, head)) return null;
+        const context = rowContextOf(el);
+        return context && { context, path: [ROW_CONTEXT_KEYS[head], ...rest].join('.') };
+    }
+
+    function rowLocals(el) {
+        const context = rowContextOf(el);
+        return context ? { [ROW]: context } : undefined;
+    }
+
+    // Move a bound row to `index` of `count` rows
+    function placeRow(node, index, count) {
+        const context = rowContexts.get(node);
+        if (!context) return;
+        const position = rowPosition(index, count);
+        context.$batch(() => Object.keys(position).forEach(k => context.$set(k, position[k])));
+    }
+
+    // Bind a rendered row to its item; the row is a scope root (data-scope-id) so
+    // tap:/on: handlers inside it see the item first, then the enclosing scopes.
+    // `place` ({ parent, root, index, count }) sets up the row context.
+    function bindRow(node, row, place) {
+        // Don't double-wrap with observable if already observable
+        const rowScope = (row && row.$set) ? row : observable(row);
+        const sid = assignScopeId(node, rowScope);
+        registerObserver(node, () => scopeRegistry.delete(sid));
+        if (place) {
+            rowContexts.set(node, observable({ parent: place.parent, root: place.root, ...rowPosition(place.index, place.count) }));
+            registerObserver(node, () => rowContexts.delete(node));
+        }
+        bindTree(node, rowScope);
+        return rowScope;
+    }
+
+    // rows to render for a list source: listState page, { items: [...] } or an array
+    function rowsOf(state) {
+        if (!state) return [];
+        if (state.paged) return state.paged();
+        return Array.isArray(state) ? state : (state.items || []);
+    }
+
+    // every row of a list source in display order, ignoring paging (virtual
+    // lists window the rows themselves)
+    function allRowsOf(state) {
+        return state && state.sorted ? state.sorted() : rowsOf(state);
+    }
+
+    // Follow the list source at `path`: calls fn(state) when the source object is
+    // replaced, when any of its fields change, and when its items array is
+    // mutated in place (push/splice/index writes). Returns an unsubscribe function.
+    function watchListSource(scope, path, fn) {
+        let state = resolvePath(scope, path);
+        let unwatchState = () => { };
+
+        const watchState = () => {
+            unwatchState();
+            const unsubs = [];
+            if (state && state.$observe) {
+                unsubs.push(state.$observe('*', (prop) => {
+                    if (prop === 'items') watchState();
+                    fn(state);
+                }));
+            }
+            const arr = Array.isArray(state) ? null : state && state.items;
+            if (arr && arr.$observe) unsubs.push(arr.$observe('*', () => fn(state)));
+            unwatchState = () => unsubs.forEach(u => u());
+        };
+
+        watchState();
+        const unwatchPath = watchPath(scope, path, (next) => {
+            state = next;
+            watchState();
+            fn(state);
+        });
+        return () => {
+            unwatchState();
+            unwatchPath();
+        };
+    }
+
+    // data-meta="key:name;sort:created" → { key: 'name', sort: 'created' }
+    function parseMeta(s) {
+        const o = {};
+        if (!s) return o;
+        s.split(';').forEach(pair => {
+            const [k, v] = pair.split(':').map(x => x && x.trim());
+            if (k) o[k] = v;
+        });
+        return o;
+    }
+
+    // Positions in seq forming its longest increasing run (negative entries are
+    // skipped) — the keyed rows that can stay put while the others move around them
+    function longestIncreasing(seq) {
+        const tails = []; // tails[k]: position ending the best run of length k + 1
+        const prev = new Array(seq.length);
+        seq.forEach((v, i) => {
+            if (v < 0) return;
+            let lo = 0, hi = tails.length;
+            while (lo < hi) {
+                const mid = (lo + hi) >> 1;
+                if (seq[tails[mid]] < v) lo = mid + 1; else hi = mid;
+            }
+            prev[i] = lo ? tails[lo - 1] : -1;
+            tails[lo] = i;
+        });
+        const keep = new Set();
+        for (let i = tails.length ? tails[tails.length - 1] : -1; i >= 0; i = prev[i]) keep.add(i);
+        return keep;
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────────
+    // Virtual scrolling
+
+    const DEFAULT_ROW_HEIGHT = 24;
+    const DEFAULT_OVERSCAN = 5;
+    // binders that rewrite their element's own DOM, so a row using them can't be rebound
+    const SELF_RENDERING_BINDERS = ['if', 'else-if', 'else', 'list', 'table', 'view'];
+
+    // data-meta="virtual;rowHeight:32;overscan:8" → { rowHeight, overscan }, or null
+    // when virtual mode is off. Without a rowHeight rows are measured as they render.
+    function virtualOptions(meta) {
+        if (!('virtual' in meta) || meta.virtual === 'false') return null;
+        const rowHeight = Number(meta.rowHeight);
+        const overscan = Number(meta.overscan);
+        return {
+            rowHeight: rowHeight > 0 ? rowHeight : 0,
+            overscan: overscan >= 0 ? overscan : DEFAULT_OVERSCAN
+        };
+    }
+
+    // Can a row node built from template be cleaned up and bound to another item?
+    function isRecyclable(template) {
+        if (template.matches('.dropdown, .nav-tabs') || template.querySelector('.dropdown, .nav-tabs')) return false;
+        return ![template, ...template.querySelectorAll('[data-bind]')].some(node =>
+            parseBinds(node.getAttribute('data-bind') || '')
+                .some(b => b.type === 'binding' && SELF_RENDERING_BINDERS.includes(b.cmd)));
+    }
+
+    // Placeholder standing in for the rows above or below the rendered window
+    function spacerFor(tagName, colSpan) {
+        const spacer = document.createElement(tagName);
+        spacer.setAttribute('aria-hidden', 'true');
+        if (tagName.toUpperCase() === 'TR') {
+            const td = document.createElement('td');
+            td.colSpan = colSpan || 1;
+            td.style.cssText = 'padding:0;border:0';
+            spacer.appendChild(td);
+        } else {
+            spacer.style.cssText = 'display:block;padding:0;margin:0;border:0;list-style:none';
+        }
+        return spacer;
+    }
+
+    // Keep only the rows in and around the viewport in the DOM. Rendered rows sit
+    // in `container` between two spacers sized like the rows scrolled past and
+    // still to come, so the scrollbar reflects the whole list. acquire(row) returns
+    // a bound node for a row; release(node) takes it back once it leaves the window;
+    // place(node, index) is told where rows that stay in the window now are.
+    // offset() is the distance from the top of the viewport's content to the first row.
+    function virtualWindow({ viewport, container, options, spacer, acquire, release, place, offset }) {
+        const before = spacer();
+        const after = spacer();
+        container.appendChild(before);
+        container.appendChild(after);
+
+        const { rowHeight, overscan } = options;
+        const measured = new WeakMap(); // row item -> measured height
+        let measuredTotal = 0, measuredCount = 0;
+        let estimate = rowHeight || DEFAULT_ROW_HEIGHT;
+        let offsets = null; // prefix sums of row heights; rebuilt when a measurement changes
+        let rows = [];
+        let shown = new Map(); // index -> { row, node }
+
+        const heightOf = row => (isObj(row) && measured.get(row)) || estimate;
+        const offsetAt = i => rowHeight ? i * rowHeight : offsets[i];
+
+        function indexAt(y) {
+            if (rowHeight) return Math.floor(y / rowHeight);
+            let lo = 0, hi = rows.length;
+            while (lo < hi) {
+                const mid = (lo + hi) >> 1;
+                if (offsets[mid + 1] <= y) lo = mid + 1; else hi = mid;
+            }
+            return lo;
+        }
+
+        function render() {
+            if (!rowHeight && !offsets) {
+                offsets = new Float64Array(rows.length + 1);
+                rows.forEach((row, i) => { offsets[i + 1] = offsets[i] + heightOf(row); });
+            }
+            const top = Math.max(0, viewport.scrollTop - (offset ? offset() : 0));
+            const height = viewport.clientHeight || global.innerHeight; // not laid out yet: assume a full window
+            const first = Math.max(0, indexAt(top) - overscan);
+            const last = Math.min(rows.length, indexAt(top + height) + 1 + overscan);
+
+            // Keep the nodes of rows that stay in the window, release the rest
+            // first so the rows coming in can reuse them
+            const next = new Map();
+            for (let i = first; i < last; i++) {
+                const prev = shown.get(i);
+                if (prev && prev.row === rows[i]) {
+                    next.set(i, prev);
+                    shown.delete(i);
+                    if (place) place(prev.node, i);
+                }
+            }
+            shown.forEach(({ node }) => release(node));
+            const nodes = [];
+            for (let i = first; i < last; i++) {
+                if (!next.has(i)) next.set(i, { row: rows[i], node: acquire(rows[i], i) });
+                nodes.push(next.get(i).node);
+            }
+            shown = next;
+
+            let cursor = before.nextSibling;
+            nodes.forEach(node => {
+                if (node === cursor) cursor = cursor.nextSibling;
+                else container.insertBefore(node, cursor);
+            });
+            before.style.height = `${offsetAt(first)}px`;
+            after.style.height = `${offsetAt(rows.length) - offsetAt(last)}px`;
 
-    // attr:title:prop OR attr:data-id:order.id
-    addBinder('attr', ({ el, scope, arg }) => {
-        const [attrName, path] = arg.split(':');
-        const parent = resolvePath(scope, path.split('.').slice(0, -1).join('.')) || scope;
-        const key = path.split('.').pop();
-        const apply = v => el.setAttribute(attrName, v ?? '');
-        apply(resolvePath(scope, path));
-        if (parent && parent.$observe) {
-            const unsubscribe = parent.$observe(key, apply);
-            registerObserver(el, unsubscribe);
+            if (!rowHeight) measure();
         }
-    });
 
-    // class:active:isActive
-    addBinder('class', ({ el, scope, arg }) => {
-        const [cls, path] = arg.split(':');
-        const parent = resolvePath(scope, path.split('.').slice(0, -1).join('.')) || scope;
-        const key = path.split('.').pop();
-        const apply = () => el.classList.toggle(cls, !!resolvePath(scope, path));
-        apply();
-        if (parent && parent.$observe) {
-            const unsubscribe = parent.$observe(key, apply);
-            registerObserver(el, unsubscribe);
+        // Record the real heights of rendered rows; unmeasured rows use their average
+        function measure() {
+            let changed = false;
+            shown.forEach(({ row, node }) => {
+                const h = node.getBoundingClientRect().height;
+                if (!h || !isObj(row) || measured.get(row) === h) return;
+                if (measured.has(row)) measuredTotal -= measured.get(row);
+                else measuredCount++;
+                measuredTotal += h;
+                measured.set(row, h);
+                changed = true;
+            });
+            if (!changed) return;
+            estimate = measuredTotal / measuredCount;
+            offsets = null;
+            schedule();
         }
-    });
 
-    // tap:logout (event delegation registered once on root)
-    addBinder('tap', ({ el, scope, arg }) => {
-        // We just annotate; global handler resolves when clicked
-        el.setAttribute('data-tap', arg);
-    });
+        let queued = false;
+        function schedule() {
+            if (queued) return;
+            queued = true;
+            batchUpdate(() => {
+                queued = false;
+                render();
+            });
+        }
 
-    // view:page  (scoped subtree & scope boundary)
-    addBinder('view', ({ el, scope, arg, stack }) => {
-        const childScope = resolvePath(scope, arg);
-        if (!childScope) return;
-        const obs = observable(childScope);
-        // mark this element as a new scope root so events resolve locally
-        assignScopeId(el, obs);
-        // bind only *children*, not the view host again
-        toArray(el.children).forEach(ch => walk(ch, obs, stack.concat([{ el, scope: obs }])));
-    });
+        viewport.addEventListener('scroll', schedule, { passive: true });
+        global.addEventListener('resize', schedule);
+
+        return {
+            update(next) {
+                rows = next;
+                offsets = null;
+                render();
+            },
+            dispose() {
+                viewport.removeEventListener('scroll', schedule);
+                global.removeEventListener('resize', schedule);
+                shown.forEach(({ node }) => release(node));
+                shown.clear();
+            }
+        };
+    }
 
     // list:items — renders <li> or any template element inside
-    // Optional meta via data-meta="key:name;sort:created;dir:desc"
+    // Optional meta via data-meta="key:name;sort:created;dir:desc" (add
+    // "virtual;rowHeight:32" to window long lists; `el` is then the scroll container)
     addBinder('list', ({ el, scope, arg }) => {
-        const state = resolvePath(scope, arg); // expected listState or { items: [...] }
+        let state = resolvePath(scope, arg); // expected listState, { items: [...] } or an array
         const meta = parseMeta(el.getAttribute('data-meta'));
         const template = findTemplate(el);
-
-        function parseMeta(s) {
-            const o = {};
-            if (!s) return o;
-            s.split(';').forEach(pair => {
-                const [k, v] = pair.split(':').map(x => x && x.trim());
-                if (k) o[k] = v;
-            });
-            return o;
-        }
+        const virtual = virtualOptions(meta);
 
         function findTemplate(host) {
             // <template> … </template> or the first child as proto
@@ -733,18 +3146,70 @@
         let lastRenderedItems = [];
         let renderedNodes = [];
 
-        function render() {
-            if (state.sortBy && meta.sort) state.sortBy(meta.sort, meta.dir || 'asc');
-            const rows = state.paged ? state.paged() : (state.items || []);
+        let renderQueued = false;
+
+        // Virtual mode: only the visible rows are bound; nodes that scroll out are
+        // cleaned up and rebound to the rows scrolling in
+        let win = null;
+        if (virtual) {
+            el.innerHTML = '';
+            const recyclable = isRecyclable(template);
+            const pool = [];
+            win = virtualWindow({
+                viewport: el,
+                container: el,
+                options: virtual,
+                spacer: () => spacerFor(template.tagName, template.children.length),
+                acquire: (row, i) => {
+                    const node = (recyclable && pool.pop()) || template.cloneNode(true);
+                    bindRow(node, row, placement(i));
+                    return node;
+                },
+                place: (node, i) => placeRow(node, i, rowCount),
+                release: (node) => {
+                    cleanupElement(node);
+                    node.remove();
+                    if (recyclable) pool.push(node);
+                }
+            });
+            registerObserver(el, () => win.dispose());
+        }
 
-            // Smart diffing - only update if items actually changed
-            const itemsChanged = !arraysEqual(rows, lastRenderedItems);
-            if (!itemsChanged) return;
+        // Row context: indexes count across pages, so row numbers and striping
+        // continue on page 2; $parent is the scope owning the list
+        let rowOffset = 0;
+        let rowCount = 0;
+        let rootScope = null;
+
+        function placement(i) {
+            if (!rootScope) rootScope = scopeChain(el).pop() || scope;
+            return { parent: scope, root: rootScope, index: rowOffset + i, count: rowCount };
+        }
+
+        function render() {
+            if (state && state.sortBy && meta.sort) state.sortBy(meta.sort, meta.dir || 'asc');
 
-            // Batch the rendering operation
+            // Coalesce: however many changes arrive before the next frame, diff and render once
+            if (renderQueued) return;
+            renderQueued = true;
             batchUpdate(() => {
-                // For large lists (>100 items), use incremental rendering
-                if (rows.length > 100) {
+                renderQueued = false;
+                const rows = win ? allRowsOf(state) : rowsOf(state);
+
+                // Smart diffing - only update if items actually changed
+                if (arraysEqual(rows, lastRenderedItems)) return;
+
+                const paged = !win && state && state.paged;
+                rowOffset = paged ? (state.page - 1) * state.pageSize : 0;
+                rowCount = paged ? state.total : rows.length;
+
+                // Virtual lists render their window; keyed lists patch the rows in
+                // place; large lists (>100 items) render incrementally
+                if (win) {
+                    win.update(rows);
+                } else if (meta.key) {
+                    renderKeyed(rows);
+                } else if (rows.length > 100) {
                     renderIncremental(rows);
                 } else {
                     renderFull(rows);
@@ -768,17 +3233,69 @@
 
             const frag = document.createDocumentFragment();
             renderedNodes = [];
-            rows.forEach(row => {
+            rows.forEach((row, i) => {
                 const node = template.cloneNode(true);
-                // Don't double-wrap with observable if already observable
-                const rowScope = (row && row.$set) ? row : observable(row);
-                bindTree(node, rowScope);
+                bindRow(node, row, placement(i));
                 frag.appendChild(node);
                 renderedNodes.push(node);
             });
             el.appendChild(frag);
         }
 
+        // Keyed rendering (data-meta="key:id"): a row whose item is still the same
+        // object keeps its bound node, so focus, input state and transitions
+        // survive. Only rows that left the list are torn down, only rows that are
+        // out of order are moved, and changed items get a fresh node in place.
+        let keyedRows = new Map(); // key -> { node, item, index }
+
+        function keyOf(row) {
+            return isObj(row) ? resolvePath(row, meta.key) : row;
+        }
+
+        function renderKeyed(rows) {
+            if (!renderedNodes.length) el.innerHTML = ''; // drop the template / prototype row
+
+            const next = new Map();
+            const nodes = [];
+            const from = []; // previous position of each reused node, -1 for new ones
+            rows.forEach((row, i) => {
+                const key = keyOf(row);
+                const duplicate = next.has(key);
+                if (duplicate) console.warn('px64 list: duplicate key', key, 'in', meta.key);
+                const prev = duplicate ? null : keyedRows.get(key);
+                let node;
+                if (prev && prev.item === row) {
+                    node = prev.node;
+                    from.push(prev.index);
+                    placeRow(node, rowOffset + i, rowCount);
+                } else {
+                    node = template.cloneNode(true);
+                    bindRow(node, row, placement(i));
+                    from.push(-1);
+                }
+                if (!duplicate) next.set(key, { node, item: row, index: i });
+                nodes.push(node);
+            });
+
+            const kept = new Set(nodes);
+            renderedNodes.forEach(node => {
+                if (kept.has(node)) return;
+                cleanupElement(node);
+                node.remove();
+            });
+
+            // Walk backwards so each node can be placed before its successor
+            const stay = longestIncreasing(from);
+            let anchor = null;
+            for (let i = nodes.length - 1; i >= 0; i--) {
+                if (!stay.has(i)) el.insertBefore(nodes[i], anchor);
+                anchor = nodes[i];
+            }
+
+            keyedRows = next;
+            renderedNodes = nodes;
+        }
+
         function renderIncremental(rows) {
             // For large lists, render in chunks using requestIdleCallback
             let index = 0;
@@ -791,9 +3308,7 @@
                 for (let i = index; i < endIndex; i++) {
                     const row = rows[i];
                     const node = template.cloneNode(true);
-                    // Don't double-wrap with observable if already observable
-                    const rowScope = (row && row.$set) ? row : observable(row);
-                    bindTree(node, rowScope);
+                    bindRow(node, row, placement(i));
                     frag.appendChild(node);
                     renderedNodes.push(node);
                 }
@@ -821,23 +3336,25 @@
         }
 
         render();
-        // re-render on list changes
-        const rerender = () => render();
-        if (state.$observe) {
-            const unsubscribe = state.$observe('*', rerender);
-            registerObserver(el, unsubscribe);
-        }
+        // re-render on list changes, in-place mutations of the items array, and
+        // replacement of the list source itself
+        registerObserver(el, watchListSource(scope, arg, (next) => {
+            state = next;
+            render();
+        }));
     });
 
     // table:items — like list but expects columns via data-meta="cols:created,name,score;sort:created"
+    // (add "virtual;rowHeight:32" to window long tables inside a scrolling parent)
     addBinder('table', ({ el, scope, arg }) => {
-        const state = resolvePath(scope, arg); // listState
+        let state = resolvePath(scope, arg); // listState
         const meta = (el.getAttribute('data-meta') || '').split(';').reduce((a, s) => {
             const [k, v] = s.split(':');
             if (k) a[k.trim()] = (v || '').trim();
             return a;
         }, {});
         const cols = (meta.cols || '').split(',').map(s => s.trim()).filter(Boolean);
+        const virtual = virtualOptions(meta);
 
         function renderHead() {
             const thead = el.tHead || el.createTHead();
@@ -851,47 +3368,89 @@
                 tr.appendChild(th);
             });
             thead.appendChild(tr);
+            if (virtual) stickHead();
+        }
+
+        // keep the header in view while the rows scroll underneath it
+        function stickHead() {
+            toArray(el.tHead.querySelectorAll('th')).forEach(th => {
+                th.style.position = 'sticky';
+                th.style.top = '0';
+                th.style.zIndex = '1';
+            });
+        }
+
+        function createRow() {
+            const tr = document.createElement('tr');
+            cols.forEach(() => tr.appendChild(document.createElement('td')));
+            return tr;
+        }
+
+        function fillRow(tr, row) {
+            cols.forEach((c, i) => { tr.cells[i].textContent = (row[c] ?? ''); });
+            return tr;
         }
 
         function renderBody() {
             const tbody = el.tBodies[0] || el.createTBody();
             tbody.innerHTML = '';
-            const rows = state.paged ? state.paged() : (state.items || []);
-            rows.forEach(row => {
-                const tr = document.createElement('tr');
-                cols.forEach(c => {
-                    const td = document.createElement('td');
-                    td.textContent = (row[c] ?? '');
-                    tr.appendChild(td);
-                });
-                tbody.appendChild(tr);
+            const rows = rowsOf(state);
+            rows.forEach(row => tbody.appendChild(fillRow(createRow(), row)));
+        }
+
+        // Virtual mode: the table's parent is the scroll container; rows that
+        // scroll out are refilled with the rows scrolling in
+        let win = null;
+        if (virtual) {
+            const tbody = el.tBodies[0] || el.createTBody();
+            tbody.innerHTML = '';
+            if (el.tHead) stickHead();
+            const pool = [];
+            win = virtualWindow({
+                viewport: el.parentElement || el,
+                container: tbody,
+                options: virtual,
+                spacer: () => spacerFor('tr', cols.length),
+                acquire: (row) => fillRow(pool.pop() || createRow(), row),
+                release: (tr) => {
+                    tr.remove();
+                    pool.push(tr);
+                },
+                offset: () => (el.tHead ? el.tHead.offsetHeight : 0)
             });
+            registerObserver(el, () => win.dispose());
         }
 
+        let renderQueued = false;
         function render() {
-            if (!el.tHead) renderHead();
-            renderBody();
+            if (renderQueued) return;
+            renderQueued = true;
+            batchUpdate(() => {
+                renderQueued = false;
+                if (!el.tHead) renderHead();
+                if (win) win.update(allRowsOf(state));
+                else renderBody();
+            });
         }
         render();
         // sorting
         el.addEventListener('click', (e) => {
             const th = e.target.closest('th');
-            if (!th) return;
+            if (!th || !state) return;
             const k = th.dataset.sortKey;
             const dir = (state.sortKey === k && state.sortDir === 'asc') ? 'desc' : 'asc';
             state.sortBy && state.sortBy(k, dir);
         });
-        state.$observe && state.$observe('*', render);
+        registerObserver(el, watchListSource(scope, arg, (next) => {
+            state = next;
+            render();
+        }));
     });
 
     // money:prop (example custom formatter) — cached formatter
     const _moneyFmt = new Intl.NumberFormat(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
     addBinder('money', ({ el, scope, arg }) => {
-        const parent = resolvePath(scope, arg.split('.').slice(0, -1).join('.')) || scope;
-        const key = arg.split('.').pop();
-        const format = v => el.textContent = _moneyFmt.format(Number(v || 0));
-        format(resolvePath(scope, arg));
-        parent.$observe && parent.$observe(key, format);
+        reactive(el, scope, arg, v => { el.textContent = _moneyFmt.format(Number(v || 0)); });
     });
 
     // image:imageUrl (sets src attribute for images)
@@ -909,7 +3468,7 @@
 
     // style:property:value OR style:backgroundColor:user.color
     addBinder('style', ({ el, scope, arg }) => {
-        const parts = arg.split(':');
+        const parts = splitTopLevel(arg, ':').map(p => p.text);
         if (parts.length !== 2) {
             console.warn('style binder requires format: property:valuePath');
             return;
@@ -931,38 +3490,24 @@
 
     // fadein:!loading (show with fade when condition is true)
     addBinder('fadein', ({ el, scope, arg }) => {
-        // Handle negated expressions like "!loading"
-        const isNegated = arg.startsWith('!');
-        const cleanArg = isNegated ? arg.slice(1) : arg;
-
-        reactive(el, scope, cleanArg, (value) => batchUpdate(() => {
-            const shouldShow = isNegated ? !value : !!value;
+        reactive(el, scope, arg, (value) => batchUpdate(() => {
+            const shouldShow = !!value;
             el.style.transition = 'opacity 0.3s ease';
             el.style.opacity = shouldShow ? '1' : '0';
             el.style.pointerEvents = shouldShow ? 'auto' : 'none';
         }));
     });
 
+    // Bootstrap loading look: disabled + visible .spinner-border
+    function setLoading(el, isLoading) {
+        const spinner = el.querySelector('.spinner-border');
+        el.disabled = isLoading;
+        if (spinner) spinner.style.display = isLoading ? 'inline-block' : 'none';
+    }
+
     // loading:isSubmitting (Bootstrap spinner integration)
     addBinder('loading', ({ el, scope, arg }) => {
-        const parent = resolvePath(scope, arg.split('.').slice(0, -1).join('.')) || scope;
-        const key = arg.split('.').pop();
-        const apply = () => batchUpdate(() => {
-            const isLoading = !!resolvePath(scope, arg);
-            const spinner = el.querySelector('.spinner-border');
-            if (isLoading) {
-                el.disabled = true;
-                if (spinner) spinner.style.display = 'inline-block';
-            } else {
-                el.disabled = false;
-                if (spinner) spinner.style.display = 'none';
-            }
-        });
-        apply();
-        if (parent && parent.$observe) {
-            const unsubscribe = parent.$observe(key, apply);
-            registerObserver(el, unsubscribe);
-        }
+        reactive(el, scope, arg, (value) => batchUpdate(() => setLoading(el, !!value)));
     });
 
     // disable:loading / enable:!loading (form control states)
@@ -973,34 +3518,45 @@
     });
 
     addBinder('enable', ({ el, scope, arg }) => {
-        // Handle negated expressions like "!isProcessing"
-        const isNegated = arg.startsWith('!');
-        const cleanArg = isNegated ? arg.slice(1) : arg;
-
-        reactive(el, scope, cleanArg, (value) => batchUpdate(() => {
-            el.disabled = isNegated ? !!value : !value;
+        reactive(el, scope, arg, (value) => batchUpdate(() => {
+            el.disabled = !value;
         }));
     });
 
     // valid:isEmailValid / invalid:!isEmailValid (Bootstrap validation)
+    // On a field registered with px64.validate / data-validate, both follow the
+    // field's validation state once it has been touched or changed.
     addBinder('valid', ({ el, scope, arg }) => {
-        reactive(el, scope, arg, (isValid) => batchUpdate(() => {
+        bindFieldState(el, scope, arg, (hasError, error, visible) => {
+            el.classList.toggle('is-valid', visible && !hasError);
+            el.classList.toggle('is-invalid', hasError);
+        }, (active) => reactive(el, scope, arg, (isValid) => batchUpdate(() => {
+            if (!active()) return;
             el.classList.toggle('is-valid', !!isValid);
             el.classList.toggle('is-invalid', !isValid);
-        }));
+        })));
     });
 
     addBinder('invalid', ({ el, scope, arg }) => {
-        // Handle negated expressions like "!isEmailValid"
-        const isNegated = arg.startsWith('!');
-        const cleanArg = isNegated ? arg.slice(1) : arg;
-
-        reactive(el, scope, cleanArg, (value) => batchUpdate(() => {
-            const isInvalid = isNegated ? !value : !!value;
+        bindFieldState(el, scope, arg, (hasError) => {
+            el.classList.toggle('is-invalid', hasError);
+            el.style.display = hasError ? 'block' : 'none';
+        }, (active) => reactive(el, scope, arg, (value) => batchUpdate(() => {
+            if (!active()) return;
+            const isInvalid = !!value;
             el.classList.toggle('is-invalid', isInvalid);
             el.classList.toggle('is-valid', !isInvalid);
             el.style.display = isInvalid ? 'block' : 'none';
-        }));
+        })));
+    });
+
+    // error-text:user.email (validation message for a field, empty while valid/untouched)
+    addBinder('error-text', ({ el, scope, arg }) => {
+        bindFieldState(el, scope, arg, (hasError, error) => { el.textContent = error || ''; },
+            // not (yet) a validated field: plain text binding (e.g. a message you manage yourself)
+            (active) => reactive(el, scope, arg, (v) => batchUpdate(() => {
+                if (active()) el.textContent = v ?? '';
+            })));
     });
 
     // Date formatting binders
@@ -1134,44 +3690,261 @@
 
     // checkbox:isChecked (two-way binding for checkboxes)
     addBinder('checkbox', ({ el, scope, arg }) => {
-        const parent = resolvePath(scope, arg.split('.').slice(0, -1).join('.')) || scope;
-        const key = arg.split('.').pop();
-
         // Use reactive helper for initial setup and observer
         reactive(el, scope, arg, (v) => {
             el.checked = !!v;
         });
 
         // Two-way binding on change
-        el.addEventListener('change', () => {
-            if (parent.$set) parent.$set(key, el.checked);
-            else parent[key] = el.checked;
-        });
+        const onChange = () => setPath(scope, arg, el.checked);
+        el.addEventListener('change', onChange);
+        registerObserver(el, () => el.removeEventListener('change', onChange));
+        bindValidation(el, scope, arg, 'change');
     });
 
     // radio:selectedValue (radio group binding)
     addBinder('radio', ({ el, scope, arg }) => {
-        const parent = resolvePath(scope, arg.split('.').slice(0, -1).join('.')) || scope;
-        const key = arg.split('.').pop();
-
         // Use reactive helper for initial setup and observer
         reactive(el, scope, arg, (v) => {
             el.checked = (el.value === v);
         });
 
         // Two-way binding on change
-        el.addEventListener('change', () => {
-            if (el.checked && parent.$set) parent.$set(key, el.value);
-            else if (el.checked) parent[key] = el.value;
+        const onChange = () => {
+            if (el.checked) setPath(scope, arg, el.value);
+        };
+        el.addEventListener('change', onChange);
+        registerObserver(el, () => el.removeEventListener('change', onChange));
+        bindValidation(el, scope, arg, 'change');
+    });
+
+    // form:contact — maps the form's named controls onto `contact` (nested names
+    // like "address.city" or "address[city]" become nested objects), tracks
+    // dirty/pristine per field and overall, and handles submit/reset.
+    // Optional meta: data-meta="submit:saveContact;loading:isSaving"
+    // State lives on the model as `contact.$form`:
+    //   { dirty, pristine, submitting, error, fields: { name: { dirty, pristine } }, submit(), reset() }
+    const SKIPPED_CONTROLS = ['submit', 'button', 'reset', 'image', 'file'];
+    const fieldPath = name => name.replace(/\[\]$/, '').replace(/\[([^\]]+)\]/g, '.$1');
+
+    function readControls(controls) {
+        const first = controls[0];
+        if (first.type === 'radio') {
+            const checked = controls.find(c => c.checked);
+            return checked ? checked.value : null;
+        }
+        if (first.type === 'checkbox') {
+            // a group of same-named checkboxes is a list of checked values
+            return controls.length > 1 ? controls.filter(c => c.checked).map(c => c.value) : first.checked;
+        }
+        if (first.tagName === 'SELECT' && first.multiple) {
+            return Array.from(first.selectedOptions).map(o => o.value);
+        }
+        if (first.type === 'number' || first.type === 'range') {
+            return first.value === '' ? null : Number(first.value);
+        }
+        return first.value;
+    }
+
+    function writeControls(controls, value) {
+        const first = controls[0];
+        if (first.type === 'radio') {
+            controls.forEach(c => { c.checked = c.value === String(value); });
+        } else if (first.type === 'checkbox') {
+            if (controls.length > 1) {
+                const values = Array.isArray(value) ? value.map(String) : [];
+                controls.forEach(c => { c.checked = values.includes(c.value); });
+            } else {
+                first.checked = !!value;
+            }
+        } else if (first.tagName === 'SELECT' && first.multiple) {
+            const values = Array.isArray(value) ? value.map(String) : [];
+            Array.from(first.options).forEach(o => { o.selected = values.includes(o.value); });
+        } else if (first.value !== String(value ?? '')) {
+            first.value = value ?? '';
+        }
+    }
+
+    // Makes sure every object on the way to `path` exists
+    function ensureParents(obj, path) {
+        const keys = path.split('.');
+        keys.pop();
+        keys.forEach(key => {
+            if (!obj[key] || typeof obj[key] !== 'object') {
+                if (obj.$set) obj.$set(key, {});
+                else obj[key] = {};
+            }
+            obj = obj[key];
+        });
+    }
+
+    addBinder('form', ({ el, scope, arg }) => {
+        const meta = parseMeta(el.getAttribute('data-meta'));
+        const state = observable({ dirty: false, pristine: true, submitting: false, error: null, fields: {} });
+        Object.defineProperty(state, TRANSIENT, { value: true });
+        let model = null;
+        let baseline = {};
+        let unsubs = [];
+
+        const groups = () => {
+            const byName = new Map();
+            Array.from(el.elements).forEach(c => {
+                if (!c.name || SKIPPED_CONTROLS.includes(c.type)) return;
+                const path = fieldPath(c.name);
+                if (!byName.has(path)) byName.set(path, []);
+                byName.get(path).push(c);
+            });
+            return byName;
+        };
+
+        const refresh = () => batch(() => {
+            const dirty = Object.keys(baseline).some(path => state.fields[path] && state.fields[path].dirty);
+            state.$set('dirty', dirty);
+            state.$set('pristine', !dirty);
+        });
+
+        const updateField = (path) => {
+            const dirty = !deepEqual(toJSON(resolvePath(model, path)), baseline[path]);
+            const field = state.fields[path];
+            if (field.dirty !== dirty) batch(() => {
+                field.$set('dirty', dirty);
+                field.$set('pristine', !dirty);
+            });
+            refresh();
+        };
+
+        // (re)attach to the current model: take its values (or the DOM's, for
+        // fields the model doesn't have yet) as the pristine baseline
+        const attach = () => {
+            unsubs.forEach(u => u());
+            unsubs = [];
+            model = resolvePath(scope, arg);
+            if (!model || typeof model !== 'object') {
+                setPath(scope, arg, {});
+                model = resolvePath(scope, arg);
+            }
+            if (!model) return;
+            const target = rawOf(model);
+            const previous = target.$form;
+            Object.defineProperty(target, '$form', { value: state, configurable: true });
+            // bindings walked before the form (text:contact.$form.dirty) pick it up now
+            if (target[OBS] && previous !== state) notify(target, '$form', state, previous);
+            baseline = {};
+            batch(() => groups().forEach((controls, path) => {
+                let value = resolvePath(model, path);
+                if (value === undefined) {
+                    value = readControls(controls);
+                    ensureParents(model, path);
+                    setPath(model, path, value);
+                } else {
+                    writeControls(controls, value);
+                }
+                baseline[path] = toJSON(value);
+                if (!state.fields[path]) state.fields.$set(path, { dirty: false, pristine: true });
+                unsubs.push(watchPath(model, path, (v) => {
+                    const current = groups().get(path);
+                    if (current) batchUpdate(() => writeControls(current, resolvePath(model, path)));
+                    updateField(path);
+                }));
+                updateField(path);
+            }));
+        };
+
+        const onInput = (ev) => {
+            const c = ev.target;
+            if (!model || !c.name || SKIPPED_CONTROLS.includes(c.type)) return;
+            const path = fieldPath(c.name);
+            const controls = groups().get(path);
+            if (!controls) return;
+            const value = readControls(controls);
+            if (deepEqual(toJSON(resolvePath(model, path)), value)) return;
+            ensureParents(model, path);
+            setPath(model, path, value);
+        };
+
+        const setSubmitting = (on) => {
+            state.$set('submitting', on);
+            if (meta.loading) setPath(scope, meta.loading, on);
+            else el.querySelectorAll('button[type="submit"], button:not([type]), input[type="submit"]')
+                .forEach(b => batchUpdate(() => setLoading(b, on)));
+        };
+
+        // Values become the new baseline; fields go back to pristine
+        const commit = () => {
+            Object.keys(baseline).forEach(path => { baseline[path] = toJSON(resolvePath(model, path)); });
+            batch(() => Object.keys(baseline).forEach(updateField));
+        };
+
+        state.reset = () => {
+            batch(() => Object.keys(baseline).forEach(path => {
+                const value = baseline[path];
+                setPath(model, path, value && typeof value === 'object' ? JSON.parse(JSON.stringify(value)) : value);
+            }));
+            state.$set('error', null);
+            const v = rawOf(scope)[VALIDATOR];
+            if (v) v.reset();
+        };
+
+        // Validate (when the scope has px64.validate rules), then call the
+        // submit method with the serialized model; async results toggle loading
+        state.submit = (event) => {
+            if (state.submitting) return Promise.resolve(false);
+            const v = rawOf(scope)[VALIDATOR];
+            return Promise.resolve(v ? v.validate() : true).then(ok => {
+                if (!ok) return false;
+                const fn = meta.submit && resolvePath(scope, meta.submit);
+                if (!isFn(fn)) {
+                    if (meta.submit) console.warn(`px64 form: "${meta.submit}" is not a function`);
+                    return false;
+                }
+                const payload = toJSON(model);
+                let result;
+                try {
+                    result = fn.call(scope, payload, { el, scope, form: state, event });
+                } catch (e) {
+                    state.$set('error', e.message || String(e));
+                    return false;
+                }
+                if (!result || !isFn(result.then)) {
+                    state.$set('error', null);
+                    commit();
+                    return true;
+                }
+                setSubmitting(true);
+                return result.then(() => {
+                    state.$set('error', null);
+                    commit();
+                    return true;
+                }, e => {
+                    state.$set('error', (e && e.message) || String(e));
+                    return false;
+                }).finally(() => setSubmitting(false));
+            });
+        };
+
+        const onSubmit = (ev) => { ev.preventDefault(); state.submit(ev); };
+        const onReset = (ev) => { ev.preventDefault(); state.reset(); };
+
+        attach();
+        el.addEventListener('input', onInput);
+        el.addEventListener('change', onInput);
+        el.addEventListener('submit', onSubmit);
+        el.addEventListener('reset', onReset);
+        registerObserver(el, watchPath(scope, arg, () => {
+            if (resolvePath(scope, arg) !== model) attach();
+        }));
+        registerObserver(el, () => {
+            unsubs.forEach(u => u());
+            el.removeEventListener('input', onInput);
+            el.removeEventListener('change', onInput);
+            el.removeEventListener('submit', onSubmit);
+            el.removeEventListener('reset', onReset);
         });
     });
 
     // tab:activeTab (tab navigation with content switching)
     addBinder('tab', ({ el, scope, arg }) => {
-        const parent = resolvePath(scope, arg.split('.').slice(0, -1).join('.')) || scope;
-        const key = arg.split('.').pop();
-        const apply = () => batchUpdate(() => {
-            const activeTab = resolvePath(scope, arg);
+        reactive(el, scope, arg, (activeTab) => batchUpdate(() => {
             const tabId = el.getAttribute('data-tab-id');
             const contentId = el.getAttribute('data-tab-content');
 
@@ -1187,20 +3960,13 @@
                 el.style.display = isActive ? 'block' : 'none';
                 el.classList.toggle('active', isActive);
             }
-        });
-        apply();
-        if (parent && parent.$observe) {
-            const unsubscribe = parent.$observe(key, apply);
-            registerObserver(el, unsubscribe);
-        }
+        }));
 
         // Handle tab clicks
         if (el.getAttribute('data-tab-id')) {
             el.addEventListener('click', (e) => {
                 e.preventDefault();
-                const tabId = el.getAttribute('data-tab-id');
-                if (parent.$set) parent.$set(key, tabId);
-                else parent[key] = tabId;
+                setPath(scope, arg, el.getAttribute('data-tab-id'));
             });
         }
     });
@@ -1214,48 +3980,453 @@
         root.addEventListener('click', (ev) => {
             const target = ev.target.closest('[data-tap]');
             if (!target) return;
-            const action = target.getAttribute('data-tap');
-            // Resolve scope for this node by walking up to nearest data-scope marker
-            const scopeId = target.closest('[data-scope-id]')?.getAttribute('data-scope-id');
-            const scope = scopeId && scopeRegistry.get(scopeId);
-            if (!scope) return;
-
-            // Check if this is a function call with parameters like "setStatus('danger')"
-            const functionCallMatch = action.match(/^(\w+)\('([^']+)'\)$/);
-            if (functionCallMatch) {
-                const [, functionName, parameter] = functionCallMatch;
-                const fn = resolvePath(scope, functionName);
-                if (isFn(fn)) {
-                    const result = fn.call(scope, parameter);
-                    // If the function returns another function (like setStatus does), call it
-                    if (isFn(result)) {
-                        result.call(scope, { el: target, scope, event: ev });
-                    }
-                }
-            } else {
-                // Handle simple function path
-                const fn = resolvePath(scope, action);
-                if (isFn(fn)) fn.call(scope, { el: target, scope, event: ev });
-            }
+            runHandler(target, target.getAttribute('data-tap'), ev);
         });
     }
 
     // ─────────────────────────────────────────────────────────────────────────────
-    // data access stubs (wire these to your API)
+    // on:event.modifiers:handler — on:input:search, on:submit.prevent:save,
+    // on:keydown.enter:add, on:scroll.throttle.100:track
+    // Bubbling events are delegated to one document listener per type; the rest
+    // (and .stop/.capture/.passive, which need the element's own listener) are
+    // attached directly. Handlers run like tap: ones (see runHandler): a method
+    // path gets { el, scope, event }, a call like `add(item, $event)` its arguments.
+
+    const eventBindings = new WeakMap(); // el -> [{ type, handle }]
+    const delegatedTypes = new Set();
+    const DELEGATED_EVENTS = ['click', 'dblclick', 'contextmenu', 'input', 'change', 'submit', 'reset',
+        'keydown', 'keyup', 'keypress', 'focusin', 'focusout', 'mousedown', 'mouseup', 'mouseover',
+        'mouseout', 'mousemove', 'pointerdown', 'pointerup', 'pointermove', 'touchstart', 'touchend',
+        'dragstart', 'dragover', 'dragend', 'drop'];
+    const EVENT_MODIFIERS = ['prevent', 'stop', 'once', 'self', 'capture', 'passive'];
+    const SYSTEM_KEYS = ['ctrl', 'alt', 'shift', 'meta'];
+    const KEY_ALIASES = {
+        enter: 'Enter', esc: 'Escape', escape: 'Escape', tab: 'Tab', space: ' ', delete: 'Delete',
+        backspace: 'Backspace', up: 'ArrowUp', down: 'ArrowDown', left: 'ArrowLeft', right: 'ArrowRight'
+    };
+    const DEFAULT_EVENT_WAIT = 250;
+
+    // "keydown.ctrl.enter.prevent" → { type: 'keydown', mods: { prevent: true, keys: ['Enter'], system: ['ctrl'] } }
+    function parseEventSpec(spec) {
+        const [type, ...rest] = spec.split('.').map(s => s.trim());
+        const mods = { keys: [], system: [] };
+        for (let i = 0; i < rest.length; i++) {
+            const m = rest[i];
+            if (m === 'debounce' || m === 'throttle') {
+                mods[m] = /^\d+$/.test(rest[i + 1] || '') ? Number(rest[++i]) : DEFAULT_EVENT_WAIT;
+            } else if (EVENT_MODIFIERS.includes(m)) {
+                mods[m] = true;
+            } else if (SYSTEM_KEYS.includes(m)) {
+                mods.system.push(m);
+            } else if (m) {
+                mods.keys.push((KEY_ALIASES[m.toLowerCase()] || m).toLowerCase());
+            }
+        }
+        return { type, mods };
+    }
+
+    function debounce(fn, wait) {
+        let timer = null;
+        const wrapped = (...args) => {
+            clearTimeout(timer);
+            timer = setTimeout(() => fn(...args), wait);
+        };
+        wrapped.cancel = () => clearTimeout(timer);
+        return wrapped;
+    }
+
+    // leading call, then at most one per `wait` ms (the last event wins the trailing call)
+    function throttle(fn, wait) {
+        let last = 0;
+        let timer = null;
+        let pending = null;
+        const wrapped = (...args) => {
+            const remaining = last + wait - Date.now();
+            if (remaining <= 0) {
+                last = Date.now();
+                fn(...args);
+                return;
+            }
+            pending = args;
+            if (!timer) {
+                timer = setTimeout(() => {
+                    timer = null;
+                    last = Date.now();
+                    fn(...pending);
+                }, remaining);
+            }
+        };
+        wrapped.cancel = () => clearTimeout(timer);
+        return wrapped;
+    }
+
+    // Scopes from the element's nearest data-scope-id host outwards
+    function scopeChain(el) {
+        const chain = [];
+        let host = el.closest('[data-scope-id]');
+        while (host) {
+            const scope = scopeRegistry.get(host.getAttribute('data-scope-id'));
+            if (scope) chain.push(scope);
+            host = host.parentElement && host.parentElement.closest('[data-scope-id]');
+        }
+        return chain;
+    }
+
+    // The first scope in the chain where `path` is a function → { fn, owner }
+    function resolveHandler(chain, path) {
+        for (const owner of chain) {
+            const fn = resolvePath(owner, path);
+            if (isFn(fn)) return { fn, owner };
+        }
+        return null;
+    }
+
+    // `$parent.remove` inside a row → { fn, owner } on the row context
+    function rowHandler(context, path) {
+        const keys = path.split('.');
+        const name = keys.pop();
+        const owner = resolvePath(context, keys.join('.'));
+        return owner && isFn(owner[name]) ? { fn: owner[name], owner } : null;
+    }
+
+    // Run a tap:/on: handler. A method path is called as fn({ el, scope, event });
+    // a call (`remove(item.id, $event)`, `setPage(page + 1)`) gets its own
+    // arguments, which may use $event, $el and $scope. Names resolve from the
+    // element's nearest scope (a list row's item) outwards; inside rows `item`
+    // is the row's item unless a scope defines its own `item`, and $index,
+    // $parent, … come from the row context.
+    function runHandler(el, src, event, fallback) {
+        const chain = scopeChain(el);
+        if (!chain.length && fallback) chain.push(fallback);
+        const scope = chain[0];
+        if (!scope) return;
+        const ctx = { el, scope, event };
+
+        if (isPlainPath(src)) {
+            const row = rowContextPath(el, src);
+            const found = row ? rowHandler(row.context, row.path) : resolveHandler(chain, src);
+            if (found) found.fn.call(found.owner, ctx);
+            else console.warn(`px64: handler "${src}" is not a function`, el);
+            return;
+        }
+
+        const ast = compileBinding(el, src);
+        if (!ast) return;
+        const locals = { $event: event, $el: el, $scope: scope, [SCOPES]: chain.slice(1), [ROW]: rowContextOf(el) };
+        if (!chain.some(s => 'item' in Object(s))) locals.item = scope;
+        try {
+            const result = evalExpr(ast, scope, locals);
+            // curried handlers: setStatus('danger') may return fn({ el, scope, event })
+            if (isFn(result)) {
+                const owner = ast.type === 'call' && ast.callee.type === 'id' ? ownerOf(scope, ast.callee.name, locals) : scope;
+                result.call(owner, ctx);
+            }
+        } catch (e) {
+            console.warn(`px64 handler error in "${src}":`, e, el);
+        }
+    }
+
+    function dispatchDelegated(event) {
+        let node = event.target;
+        while (node && node.nodeType === 1) {
+            const list = eventBindings.get(node);
+            if (list) list.filter(b => b.type === event.type).forEach(b => b.handle(event));
+            if (event.cancelBubble) return;
+            node = node.parentElement;
+        }
+    }
+
+    addBinder('on', ({ el, scope, arg }) => {
+        const i = arg.indexOf(':');
+        if (i < 0) {
+            console.warn('on binder requires format: event.modifiers:handler');
+            return;
+        }
+        const { type, mods } = parseEventSpec(arg.slice(0, i));
+        const handler = arg.slice(i + 1).trim();
+        if (!isPlainPath(handler) && !compileBinding(el, handler)) return;
+
+        const fire = (event) => runHandler(el, handler, event, scope);
+        const run = mods.debounce ? debounce(fire, mods.debounce) : mods.throttle ? throttle(fire, mods.throttle) : fire;
+
+        let done = false;
+        const handle = (event) => {
+            if (done) return;
+            if (mods.self && event.target !== el) return;
+            if (mods.keys.length && !mods.keys.includes(String(event.key).toLowerCase())) return;
+            if (mods.system.some(k => !event[`${k}Key`])) return;
+            if (mods.prevent) event.preventDefault();
+            if (mods.stop) event.stopPropagation();
+            if (mods.once) {
+                done = true;
+                detach();
+            }
+            run(event);
+        };
+
+        const delegated = DELEGATED_EVENTS.includes(type) && !mods.stop && !mods.capture && !mods.passive;
+        const entry = { type, handle };
+        let detach;
+        if (delegated) {
+            if (!eventBindings.has(el)) eventBindings.set(el, []);
+            eventBindings.get(el).push(entry);
+            if (!delegatedTypes.has(type)) {
+                delegatedTypes.add(type);
+                document.addEventListener(type, dispatchDelegated);
+            }
+            detach = () => {
+                const list = eventBindings.get(el);
+                if (list && list.includes(entry)) list.splice(list.indexOf(entry), 1);
+            };
+        } else {
+            const options = { capture: !!mods.capture, passive: !!mods.passive };
+            el.addEventListener(type, handle, options);
+            detach = () => el.removeEventListener(type, handle, options);
+        }
+
+        registerObserver(el, () => {
+            detach();
+            if (run.cancel) run.cancel();
+        });
+    });
+
+    // ─────────────────────────────────────────────────────────────────────────────
+    // data access — REST adapter (configure once, then fetch/save/delete)
+    //   GET    {baseUrl}/{kind}[?query]      fetchList
+    //   GET    {baseUrl}/{kind}/{id}[?query] fetchObject
+    //   POST   {baseUrl}/{kind}              save (no id)
+    //   PUT    {baseUrl}/{kind}/{id}         save
+    //   DELETE {baseUrl}/{kind}/{id}         delete
+    // `params.mock` still short-circuits fetches for demos and tests.
+    const modelConfig = { baseUrl: '', headers: {}, transform: null, idKey: 'id', ttl: 0, fetch: null };
+    const modelCache = new Map();    // url -> { value, expires }
+    const modelInflight = new Map(); // url -> Promise (dedupes concurrent GETs)
+    const serverState = new WeakMap(); // observable -> last data confirmed by the server
+
+    function modelUrl(kind, id, query) {
+        const base = modelConfig.baseUrl.replace(/\/+$/, '');
+        let url = `${base}/${kind}` + (id !== undefined && id !== null ? `/${encodeURIComponent(id)}` : '');
+        if (query && Object.keys(query).length) {
+            url += '?' + Object.keys(query)
+                .filter(k => query[k] !== undefined && query[k] !== null)
+                .map(k => `${encodeURIComponent(k)}=${encodeURIComponent(query[k])}`)
+                .join('&');
+        }
+        return url;
+    }
+
+    async function modelRequest(method, url, body, context) {
+        const doFetch = modelConfig.fetch || global.fetch;
+        const headers = Object.assign(
+            { 'Accept': 'application/json' },
+            body !== undefined ? { 'Content-Type': 'application/json' } : {},
+            isFn(modelConfig.headers) ? modelConfig.headers() : modelConfig.headers
+        );
+        const res = await doFetch(url, {
+            method,
+            headers,
+            body: body !== undefined ? JSON.stringify(body) : undefined
+        });
+        if (!res.ok) {
+            const err = new Error(`px64.model: ${method} ${url} failed with ${res.status}`);
+            err.status = res.status;
+            err.response = res;
+            throw err;
+        }
+        const data = res.status === 204 ? null : await res.json();
+        return modelConfig.transform ? modelConfig.transform(data, Object.assign({ method }, context)) : data;
+    }
+
+    // cached + deduped GET; `create` turns response data into the returned value
+    function modelGet(url, ttl, context, create) {
+        const hit = modelCache.get(url);
+        if (hit && hit.expires > Date.now()) return Promise.resolve(hit.value);
+        if (modelInflight.has(url)) return modelInflight.get(url);
+
+        const pending = modelRequest('GET', url, undefined, context)
+            .then(data => {
+                const value = create(data);
+                if (ttl > 0) modelCache.set(url, { value, expires: Date.now() + ttl });
+                return value;
+            })
+            .finally(() => modelInflight.delete(url));
+        modelInflight.set(url, pending);
+        return pending;
+    }
+
     const model = {
+        configure(options = {}) {
+            Object.assign(modelConfig, options);
+            return this;
+        },
+
         // returns observable object
-        async fetchObject(kind, params) {
-            // replace with your API call
-            const data = params?.mock || {};
-            return observable(data);
+        async fetchObject(kind, params = {}) {
+            if (params.mock) return observable(params.mock);
+            const ttl = params.ttl !== undefined ? params.ttl : modelConfig.ttl;
+            return modelGet(modelUrl(kind, params.id, params.query), ttl, { kind, params }, data => {
+                const obj = observable(data || {});
+                serverState.set(obj, toJSON(obj));
+                return obj;
+            });
         },
+
         // returns listState with helpers
-        async fetchList(kind, params) {
-            const arr = params?.mock || [];
-            return listState(arr);
+        async fetchList(kind, params = {}) {
+            if (params.mock) return listState(params.mock);
+            const ttl = params.ttl !== undefined ? params.ttl : modelConfig.ttl;
+            return modelGet(modelUrl(kind, null, params.query), ttl, { kind, params }, data => listState(data || []));
+        },
+
+        // save(kind, obj, changes?, { list }) — applies `changes` to obj right away,
+        // POSTs (no id) or PUTs it, then merges the server response. On failure obj
+        // is rolled back to its last server state and the error is rethrown.
+        async save(kind, obj, changes, options = {}) {
+            const id = obj[modelConfig.idKey];
+            const rollback = serverState.get(rawOf(obj)) || toJSON(obj);
+            const list = options.list;
+            const created = id === undefined || id === null;
+            if (changes) restore(obj, changes);
+            const listItems = list && (Array.isArray(list) ? list : list.items);
+            if (created && listItems && !listItems.includes(obj)) listItems.push(obj);
+
+            try {
+                const url = modelUrl(kind, created ? null : id);
+                const data = await modelRequest(created ? 'POST' : 'PUT', url, toJSON(obj), { kind, params: options });
+                if (isObj(data)) restore(obj, data);
+                serverState.set(rawOf(obj), toJSON(obj));
+                model.invalidate(kind);
+                return obj;
+            } catch (e) {
+                restore(obj, rollback);
+                Object.keys(toJSON(obj)).forEach(k => { if (!(k in rollback)) removeKey(obj, k); });
+                if (created && listItems) {
+                    const i = listItems.indexOf(obj);
+                    if (i >= 0) listItems.splice(i, 1);
+                }
+                throw e;
+            }
+        },
+
+        // delete(kind, obj, { list }) — removes obj from `list` right away; puts it
+        // back at the same index if the request fails.
+        async delete(kind, obj, options = {}) {
+            const list = options.list;
+            const listItems = list && (Array.isArray(list) ? list : list.items);
+            const index = listItems ? listItems.indexOf(obj) : -1;
+            if (index >= 0) listItems.splice(index, 1);
+
+            try {
+                await modelRequest('DELETE', modelUrl(kind, obj[modelConfig.idKey]), undefined, { kind, params: options });
+                serverState.delete(rawOf(obj));
+                model.invalidate(kind);
+                return true;
+            } catch (e) {
+                if (index >= 0) listItems.splice(Math.min(index, listItems.length), 0, obj);
+                throw e;
+            }
+        },
+
+        // drop cached responses for one kind, or everything
+        invalidate(kind) {
+            if (!kind) {
+                modelCache.clear();
+                return;
+            }
+            const prefix = modelUrl(kind);
+            Array.from(modelCache.keys()).forEach(url => {
+                if (url === prefix || url.startsWith(prefix + '/') || url.startsWith(prefix + '?')) modelCache.delete(url);
+            });
         }
     };
 
+    // ─────────────────────────────────────────────────────────────────────────────
+    // Async resources — observable { status, loading, error, data, empty, ready }
+
+    // resource(fetcher, { scope, params, immediate, initial })
+    // fetcher(params, { signal }) returns a promise. `params(scope)` is tracked like a
+    // computed getter: when anything it reads changes, the in-flight request is
+    // aborted and the resource reloads. Results of superseded requests are dropped.
+    // `status` is 'idle' | 'loading' | 'error' | 'empty' | 'ready'; `error` holds the
+    // error message, so `alert:res.error` shows it directly.
+    function resource(fetcher, options = {}) {
+        const r = observable({
+            status: 'idle',
+            loading: false,
+            error: null,
+            data: options.initial !== undefined ? options.initial : null,
+            empty: true,
+            ready: false
+        });
+        Object.defineProperty(r, TRANSIENT, { value: true });
+
+        let controller = null;
+        let run = 0;
+        let params;
+        let unsubs = [];
+
+        const settle = fields => batch(() => Object.keys(fields).forEach(k => r.$set(k, fields[k])));
+        const isEmpty = data => data === null || data === undefined || (Array.isArray(data) && data.length === 0);
+
+        const load = () => {
+            if (controller) controller.abort();
+            controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+            const signal = controller && controller.signal;
+            const id = ++run;
+            settle({ status: 'loading', loading: true, error: null });
+
+            return Promise.resolve()
+                .then(() => fetcher(params, { signal }))
+                .then(data => {
+                    if (id !== run) return;
+                    controller = null;
+                    const empty = isEmpty(data);
+                    settle({ data, status: empty ? 'empty' : 'ready', loading: false, empty, ready: !empty });
+                }, err => {
+                    if (id !== run) return; // superseded or aborted
+                    controller = null;
+                    settle({ status: 'error', loading: false, error: (err && err.message) || String(err), ready: false });
+                })
+                .then(() => r.data);
+        };
+
+        // (re)collect params and their dependencies; reload when they change
+        const trackParams = () => {
+            unsubs.forEach(u => u());
+            unsubs = [];
+            if (!options.params) return false;
+            const previous = params;
+            const { result, deps } = collectDeps(view => options.params(view), options.scope);
+            unsubs = deps.map(([target, key]) => target.$observe(key, onParamsChange));
+            params = result;
+            return !deepEqual(toJSON(previous), toJSON(result));
+        };
+
+        function onParamsChange() {
+            if (trackParams()) load();
+        }
+
+        r.reload = () => load();
+
+        r.abort = () => {
+            if (controller) controller.abort();
+            run++;
+            if (!r.loading) return;
+            const status = r.data === null ? 'idle' : (isEmpty(r.data) ? 'empty' : 'ready');
+            settle({ status, loading: false });
+        };
+
+        r.dispose = () => {
+            r.abort();
+            unsubs.forEach(u => u());
+            unsubs = [];
+        };
+
+        trackParams();
+        if (options.immediate !== false) load();
+        return r;
+    }
+
     // ─────────────────────────────────────────────────────────────────────────────
     // public API
     const px64 = {
@@ -1317,63 +4488,49 @@
                     reactive(el, scope, arg, (v) => batchUpdate(() => {
                         el.checked = !!v;
                     }));
-                    el.addEventListener('change', () => {
-                        const keys = arg.split('.');
-                        const lastKey = keys.pop();
-                        const parent = keys.length ? resolvePath(scope, keys.join('.')) : scope;
-                        if (parent && parent.$set) {
-                            parent.$set(lastKey, el.checked);
-                        }
-                    });
+                    el.addEventListener('change', () => setPath(scope, arg, el.checked));
+                    bindValidation(el, scope, arg, 'change');
                 },
                 'radio': ({ el, scope, arg }) => {
                     reactive(el, scope, arg, (v) => batchUpdate(() => {
                         el.checked = el.value === v;
                     }));
                     el.addEventListener('change', () => {
-                        if (el.checked) {
-                            const keys = arg.split('.');
-                            const lastKey = keys.pop();
-                            const parent = keys.length ? resolvePath(scope, keys.join('.')) : scope;
-                            if (parent && parent.$set) {
-                                parent.$set(lastKey, el.value);
-                            }
-                        }
+                        if (el.checked) setPath(scope, arg, el.value);
                     });
+                    bindValidation(el, scope, arg, 'change');
                 },
                 'enable': ({ el, scope, arg }) => {
-                    const isNegated = arg.startsWith('!');
-                    const path = isNegated ? arg.slice(1) : arg;
-                    reactive(el, scope, path, (v) => batchUpdate(() => {
-                        const shouldEnable = isNegated ? !v : v;
-                        el.disabled = !shouldEnable;
+                    reactive(el, scope, arg, (v) => batchUpdate(() => {
+                        el.disabled = !v;
                     }));
                 },
                 'disable': ({ el, scope, arg }) => {
-                    const isNegated = arg.startsWith('!');
-                    const path = isNegated ? arg.slice(1) : arg;
-                    reactive(el, scope, path, (v) => batchUpdate(() => {
-                        const shouldDisable = isNegated ? !v : v;
-                        el.disabled = shouldDisable;
+                    reactive(el, scope, arg, (v) => batchUpdate(() => {
+                        el.disabled = !!v;
                     }));
                 },
                 'valid': ({ el, scope, arg }) => {
-                    const isNegated = arg.startsWith('!');
-                    const path = isNegated ? arg.slice(1) : arg;
-                    reactive(el, scope, path, (v) => batchUpdate(() => {
-                        const isValid = isNegated ? !v : v;
+                    bindFieldState(el, scope, arg, (hasError, error, visible) => {
+                        el.classList.toggle('is-valid', visible && !hasError);
+                        el.classList.toggle('is-invalid', hasError);
+                    }, (active) => reactive(el, scope, arg, (v) => batchUpdate(() => {
+                        if (!active()) return;
+                        const isValid = !!v;
                         el.classList.toggle('is-valid', isValid);
                         el.classList.toggle('is-invalid', !isValid);
-                    }));
+                    })));
                 },
                 'invalid': ({ el, scope, arg }) => {
-                    const isNegated = arg.startsWith('!');
-                    const path = isNegated ? arg.slice(1) : arg;
-                    reactive(el, scope, path, (v) => batchUpdate(() => {
-                        const isInvalid = isNegated ? !v : v;
+                    bindFieldState(el, scope, arg, (hasError) => {
+                        el.classList.toggle('is-invalid', hasError);
+                        el.classList.toggle('is-valid', false);
+                    }, (active) => reactive(el, scope, arg, (v) => batchUpdate(() => {
+                        if (!active()) return;
+                        const isInvalid = !!v;
                         el.classList.toggle('is-invalid', isInvalid);
                         el.classList.toggle('is-valid', !isInvalid);
-                    }));
+                    })));
                 }
             });
         },
@@ -1416,10 +4573,10 @@
             });
         },
 
-        bind(root, scope) {
+        bind(root, scope, options) {
             const host = typeof root === 'string' ? document.querySelector(root) : root;
             if (!host) throw new Error('px64.bind: root not found');
-            const sc = observable(scope || {});
+            const sc = observable(scope || {}, options);
             if (!host.hasAttribute('data-scope-id')) assignScopeId(host, sc);
             bindTree(host, sc);
             installTapDelegation(host);
@@ -1448,7 +4605,24 @@
         },
         model,
         observable,
-        listState
+        listState,
+        batch,
+        history,
+        toJSON: (scope) => toJSON(scope),
+        restore,
+        diff,
+        applyPatch,
+        persist,
+        sync,
+        store,
+        resource,
+        validate,
+        addValidator,
+        addFilter,
+        parseBinds,
+        computed(obj, name, getter) {
+            return observable(obj).$computed(name, getter);
+        }
     };
 
     // expose (browser)